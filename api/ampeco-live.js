@@ -0,0 +1,160 @@
+// api/ampeco-live.js
+// Vercel Serverless Function (Node runtime)
+//
+// GET /api/ampeco-live — who is charging right now, per station (JSON for a dashboard):
+//   stations[]: { chargePointId, stationName, siteId, siteName, charging, since, energyKwh,
+//                 powerKw, zone, tariffPlan, sessions[], error }
+// - since / energyKwh: start and energy so far of the station's active sessions
+// - powerKw: from the latest clock-aligned slice (?clockAlignedInterval=, default 15 minutes)
+// - zone: the tariff zone in effect now (lib/tariffs.js, the station's plan)
+// See lib/active-sessions.js for the details. A station whose listing failed has charging null
+// and the error; the others are still reported.
+//
+// Made to be polled every minute:
+// - one active-session listing per station; consumption stats only for sessions whose listing
+//   slices lag more than two intervals behind
+// - the answer is kept for 30 s per selection in the function instance (and sent with
+//   Cache-Control: private, max-age=30); ?refresh=1 fetches again
+//
+// Stations come from the station registry (lib/stations.js): ?site=<id or name>[,...] and
+// ?chargePointId=<id>[,...] as in api/ampeco-sessions.js.
+//
+// ENV VARS:
+// - AMPECO_TOKEN (required; AMPECO_BEARER_TOKEN still works)
+// - AMPECO_BASE_URL (optional, default https://cp.ikrautas.lt)
+// - AMPECO_STATIONS / AMPECO_STATIONS_FILE (optional; station registry override, see lib/stations.js)
+// - INTERNAL_API_KEY (optional; if set, must send header x-api-key or query apiKey)
+
+const {
+  CLOCK_ALIGNED_INTERVALS,
+  ampecoConfigFromEnv,
+  createAmpecoClient,
+} = require("../lib/ampeco-client");
+const { loadStationRegistry, selectStations } = require("../lib/stations");
+const { tariffPlanForStation } = require("../lib/tariffs");
+const { toVilniusIsoWithOffset } = require("../lib/vilnius-time");
+const {
+  enrichActiveSessionsConsumptionStats,
+  clockIsRecent,
+  liveStationStatus,
+} = require("../lib/active-sessions");
+
+const LIVE_TTL_MS = 30 * 1000;
+const RECENT_MAX = 50;
+
+// selection key -> { at (ms), payload }; lives as long as the function instance, so expired
+// entries are dropped on every write and at most RECENT_MAX selections are kept
+const recent = new Map();
+
+function rememberRecent(key, entry) {
+  for (const [k, v] of recent) if (entry.at - v.at >= LIVE_TTL_MS) recent.delete(k);
+  recent.delete(key); // re-inserted last: the Map's order is oldest first
+  recent.set(key, entry);
+  while (recent.size > RECENT_MAX) recent.delete(recent.keys().next().value);
+}
+
+async function fetchStationLive({ ampeco, registry, station, now, clockAlignedInterval }) {
+  const plan = tariffPlanForStation(registry, station);
+
+  let listed;
+  try {
+    ({ items: listed } = await ampeco.listSessions({
+      chargePointId: station.chargePointId,
+      status: "active",
+      clockAlignedInterval,
+    }));
+  } catch (e) {
+    return {
+      ...liveStationStatus({ station, sessions: [], plan, now, clockAlignedInterval }),
+      charging: null,
+      error: e?.message || String(e),
+    };
+  }
+
+  const sessions = await enrichActiveSessionsConsumptionStats({
+    ampeco,
+    sessions: listed,
+    clockAlignedInterval,
+    skip: (s) => clockIsRecent(s, { now, clockAlignedInterval }),
+  });
+  return liveStationStatus({ station, sessions, plan, now, clockAlignedInterval });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const internalKey = process.env.INTERNAL_API_KEY;
+    if (internalKey) {
+      const got = req.headers["x-api-key"] || req.query.apiKey;
+      if (String(got || "") !== String(internalKey)) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+    }
+
+    const registry = loadStationRegistry();
+    const selection = selectStations(registry, {
+      site: req.query.site,
+      chargePointId: req.query.chargePointId,
+    });
+    if (selection.error) {
+      return res.status(400).json({ ok: false, error: selection.error });
+    }
+    const { stations } = selection;
+
+    const clockAlignedInterval = Number(req.query.clockAlignedInterval || 15);
+    if (!CLOCK_ALIGNED_INTERVALS.includes(clockAlignedInterval)) {
+      return res.status(400).json({
+        ok: false,
+        error: `clockAlignedInterval must be one of ${CLOCK_ALIGNED_INTERVALS.join(", ")} (minutes)`,
+      });
+    }
+
+    res.setHeader("Cache-Control", `private, max-age=${LIVE_TTL_MS / 1000}`);
+
+    const key = `${stations.map((s) => s.chargePointId).join(",")}|${clockAlignedInterval}`;
+    const hit = recent.get(key);
+    const refresh = String(req.query.refresh || "0") === "1";
+    if (hit && !refresh && Date.now() - hit.at < LIVE_TTL_MS) {
+      return res.status(200).json({ ...hit.payload, cached: true });
+    }
+
+    const ampecoConfig = ampecoConfigFromEnv();
+    const concurrency = Math.min(
+      25,
+      Math.max(1, Number(req.query.concurrency || ampecoConfig.concurrency || 6) || 6)
+    );
+    const ampeco = createAmpecoClient({ ...ampecoConfig, concurrency });
+
+    const now = new Date();
+    const fetchStartedMs = Date.now();
+    const results = await Promise.all(
+      stations.map((station) =>
+        fetchStationLive({ ampeco, registry, station, now, clockAlignedInterval })
+      )
+    );
+
+    const payload = {
+      ok: true,
+      generatedAt: toVilniusIsoWithOffset(now.toISOString()),
+      clockAlignedInterval,
+      sites: selection.sites.map((s) => ({ id: s.id, name: s.name })),
+      charging: results.filter((r) => r.charging).length,
+      stations: results,
+      cached: false,
+      debug: {
+        concurrency,
+        fetchMs: Date.now() - fetchStartedMs,
+        ampecoRequests: ampeco.stats,
+      },
+    };
+    rememberRecent(key, { at: now.getTime(), payload });
+
+    return res.status(200).json(payload);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+};
@@ -2,268 +2,222 @@
 // Vercel Serverless Function (Node runtime)
 //
 // - JSON for n8n by default
-// - ?format=xlsx returns an Excel file with tabs (one per station)
+// - ?format=xlsx: an "Overview" sheet and one sheet per station (detail rows, month summary,
+//   cost, daily totals, meter readings)
+// - ?format=pdf: one statement per station (lib/statements.js); &bundle=zip for one PDF each
+// - ?format=csv|ndjson: the detail rows (lib/flat-export.js); csv also as &bundle=zip
+// - ?view=combined: sessions joined with finalized transactions (lib/combined-report.js)
+// - ?view=profile: the stations' load profile (lib/load-profile.js)
 //
-// Each station sheet has:
-// 1) DETAIL TABLE (columns): id, energy_kwh, startedAt, stoppedAt, tarifas
-//    - If no rows -> still outputs 1 row with tarifas="NO SESSIONS"
-// 2) MONTH SUMMARY TABLE (same sheet, to the RIGHT, not below):
-//    - Month (YYYY-MM), Dieninis_kWh, Naktinis_kWh, Total_kWh, Rows
+// ?compare=1: the last period next to the previous one and the same one a year earlier
+// (lib/period-comparison.js; a period still running is compared over the same elapsed time).
+//
+// Data-quality checks: lib/session-checks.js (JSON "warnings", XLSX "Checks" sheet).
+// Meter reconciliation against ?meterReadings=: lib/meter-readings.js.
+//
+// Tariff zones: the station's tariff plan (lib/tariffs.js); pricing: lib/pricing.js.
+// Range: ?cycle=YYYY-MM or ?startedAfter=&startedBefore=, default the current billing cycle;
+// one summary row per billing cycle (lib/periods.js).
 //
 // IMPORTANT FIX for long-running ACTIVE sessions:
 // - Fetch sessions started in range
 // - ALSO fetch ACTIVE sessions without date filters (best-effort)
 // - Then slice clock-aligned consumption to the requested range
 //
-// Stations include charge point 171: "Aliaksandr Ciurlionio 84A"
+// Stations: the registry in lib/stations.js, ?site= / ?chargePointId= to pick a subset.
+//
+// AMPECO requests: lib/ampeco-client.js, at most ?concurrency= in flight.
+//
+// Cache: finalized records are kept when AMPECO_CACHE is set (lib/record-cache.js);
+// ?refresh=1 refetches.
 //
 // ENV VARS:
-// - AMPECO_BEARER_TOKEN (required)
+// - AMPECO_TOKEN (required; AMPECO_BEARER_TOKEN still works)
 // - AMPECO_BASE_URL (optional, default https://cp.ikrautas.lt)
+// - AMPECO_STATIONS / AMPECO_STATIONS_FILE (optional; station registry override, see lib/stations.js)
+// - AMPECO_CACHE (optional; memory | file:<dir> | sqlite:<file> | kv, see lib/store.js)
 // - INTERNAL_API_KEY (optional; if set, must send header x-api-key or query apiKey)
 
 const XLSX = require("xlsx");
-
-const stations = [
-  { chargePointId: 326, stationName: "Vadim Čiurlionio 84A" },
-  { chargePointId: 218, stationName: "Ignė Čiurlionio g. 84A" },
-  { chargePointId: 27, stationName: "Arnas Čiurlionio 84A" },
-  { chargePointId: 171, stationName: "Aliaksandr Ciurlionio 84A" },
-];
-
-function requireEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
-function toIsoLocalMonthRangeEuropeVilnius(now = new Date()) {
-  const tz = "Europe/Vilnius";
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: tz,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  }).formatToParts(now);
-
-  const year = parts.find((p) => p.type === "year").value;
-  const month = parts.find((p) => p.type === "month").value;
-
-  const y = Number(year);
-  const m = Number(month);
-
-  const pad2 = (n) => String(n).padStart(2, "0");
-
-  const startedAfter = `${year}-${month}-01T00:00:00`;
-  const nextY = m === 12 ? y + 1 : y;
-  const nextM = m === 12 ? 1 : m + 1;
-  const startedBefore = `${nextY}-${pad2(nextM)}-01T00:00:00`;
-
-  return { startedAfter, startedBefore };
-}
-
-function safeNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : null;
-}
-
-function buildSessionsUrl({
-  baseUrl,
-  chargePointId,
-  startedAfter,
-  startedBefore,
-  clockAlignedInterval,
-  cursor,
-  perPage,
-  statusFilter,
-}) {
-  const url = new URL("/public-api/resources/sessions/v1.0", baseUrl);
-
-  url.searchParams.set("withClockAlignedEnergyConsumption", "true");
-  url.searchParams.set("clockAlignedInterval", String(clockAlignedInterval));
-  url.searchParams.set("withAuthorization", "true");
-  url.searchParams.set("withPriceBreakdown", "true");
-  url.searchParams.set("withChargingPeriods", "true");
-  url.searchParams.set("withChargingPeriodsPriceBreakdown", "true");
-
-  url.searchParams.set("filter[chargePointId]", String(chargePointId));
-
-  if (startedAfter) url.searchParams.set("filter[startedAfter]", String(startedAfter));
-  if (startedBefore) url.searchParams.set("filter[startedBefore]", String(startedBefore));
-
-  if (statusFilter) url.searchParams.set("filter[status]", String(statusFilter));
-
-  url.searchParams.set("per_page", String(perPage));
-  url.searchParams.set("cursor", cursor === null ? "null" : String(cursor));
-
-  return url.toString();
-}
-
-function buildConsumptionStatsUrl({ baseUrl, sessionId, clockAlignedInterval }) {
-  const url = new URL(
-    `/public-api/resources/sessions/v1.0/${encodeURIComponent(String(sessionId))}/consumption-stats`,
-    baseUrl
-  );
-  url.searchParams.set("clockAlignedInterval", String(clockAlignedInterval));
-  return url.toString();
-}
-
-async function ampecoGetJson(url, token) {
-  const r = await fetch(url, {
-    method: "GET",
-    headers: {
-      accept: "application/json",
-      authorization: `Bearer ${token}`,
-    },
-  });
-
-  const text = await r.text();
-  let json;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = { _raw: text };
-  }
-
-  if (!r.ok) {
-    const msg =
-      json && typeof json === "object"
-        ? JSON.stringify(json)
-        : String(text || "");
-    const err = new Error(`AMPECO ${r.status} ${r.statusText}: ${msg}`);
-    err.status = r.status;
-    throw err;
-  }
-
-  return json;
-}
-
-async function listPagedSessions({
-  baseUrl,
-  token,
-  chargePointId,
-  startedAfter,
-  startedBefore,
-  clockAlignedInterval,
-  perPage = 100,
-  statusFilter,
-}) {
-  let cursor = null;
-  const all = [];
-
-  while (true) {
-    const url = buildSessionsUrl({
-      baseUrl,
-      chargePointId,
-      startedAfter,
-      startedBefore,
-      clockAlignedInterval,
-      cursor,
-      perPage,
-      statusFilter,
-    });
-
-    const resp = await ampecoGetJson(url, token);
-
-    const data = Array.isArray(resp?.data) ? resp.data : [];
-    all.push(...data);
-
-    const nextCursor = resp?.meta?.next_cursor ?? null;
-    if (!nextCursor) break;
-    cursor = nextCursor;
-  }
-
-  return all;
-}
+const {
+  CLOCK_ALIGNED_INTERVALS,
+  ampecoConfigFromEnv,
+  createAmpecoClient,
+} = require("../lib/ampeco-client");
+const { storeFromEnv } = require("../lib/store");
+const { createRecordCache } = require("../lib/record-cache");
+const { loadStationRegistry, selectStations } = require("../lib/stations");
+const {
+  tariffPlanForStation,
+  tariffZoneAt,
+  splitIntervalByTariff,
+} = require("../lib/tariffs");
+const { toVilniusIsoWithOffset, parseVilniusLocal } = require("../lib/vilnius-time");
+const {
+  cycleBounds,
+  parsePeriodKey,
+  periodKeyAt,
+  splitRangeIntoPeriods,
+  comparisonPeriods,
+  periodsLabel,
+} = require("../lib/periods");
+const { compareTotals } = require("../lib/period-comparison");
+const { DEFAULT_TOP_PEAKS, loadProfile } = require("../lib/load-profile");
+const { pricingForStation, computeStationCost } = require("../lib/pricing");
+const { makeStatementsPdf } = require("../lib/statements");
+const { makeZip } = require("../lib/zip");
+const { applyXlsxTweaks, excelSerialFromLocalIso } = require("../lib/xlsx-tweaks");
+const { flatExportOptionsFromQuery, toCsv, toNdjson } = require("../lib/flat-export");
+const { DEFAULT_MAX_KW, checkStationSessions } = require("../lib/session-checks");
+const { getClockStartEnd, getClockEnergyWh, getPeriodEnergyWh } = require("../lib/session-fields");
+const {
+  parseMeterTolerance,
+  parseMeterReadings,
+  reconcileStationMeters,
+  meterWarnings,
+} = require("../lib/meter-readings");
+const {
+  transactionSessionId,
+  combineTransactionsWithSessions,
+} = require("../lib/combined-report");
+const { enrichActiveSessionsConsumptionStats } = require("../lib/active-sessions");
+const { listTransactions, createDetailsLookup } = require("../lib/transaction-fetch");
 
 async function listAllSessionsForStationInRange({
-  baseUrl,
-  token,
+  ampeco,
   chargePointId,
   startedAfter,
   startedBefore,
   clockAlignedInterval,
   perPage = 100,
 }) {
-  return listPagedSessions({
-    baseUrl,
-    token,
+  const { items } = await ampeco.listSessions({
     chargePointId,
     startedAfter,
     startedBefore,
     clockAlignedInterval,
     perPage,
   });
+  return items;
 }
 
 async function listActiveSessionsForStationBestEffort({
-  baseUrl,
-  token,
+  ampeco,
   chargePointId,
   clockAlignedInterval,
   perPage = 100,
 }) {
   try {
-    const active = await listPagedSessions({
-      baseUrl,
-      token,
+    const { items } = await ampeco.listSessions({
       chargePointId,
-      startedAfter: null,
-      startedBefore: null,
+      status: "active",
       clockAlignedInterval,
       perPage,
-      statusFilter: "active",
     });
-    return Array.isArray(active) ? active : [];
+    return items;
   } catch {
     return [];
   }
 }
 
-async function enrichActiveSessionsConsumptionStats({
-  baseUrl,
-  token,
-  sessions,
+// All sessions of one station for the range: month-chunk listings + active sessions (deduped
+// by id, ordered by start), then consumption-stats enrichment. With a record cache
+// (lib/record-cache.js) final sessions come from the store and a chunk is only re-listed from
+// its resume point; closed chunks are not listed at all. Returns { sessions, timing }; timings
+// include time spent waiting for a free request slot. withActive false skips the active
+// sessions (periods compared with, whose active sessions the report's own fetch already has).
+async function fetchStationSessions({
+  ampeco,
+  cache,
+  station,
+  fetchChunks,
   clockAlignedInterval,
+  perPage,
+  withActive = true,
 }) {
-  const enriched = [];
-  for (const s of sessions) {
-    const status = String(s?.status || "");
-    const listingClock = Array.isArray(s?.clockAlignedEnergyConsumption)
-      ? s.clockAlignedEnergyConsumption
-      : [];
-
-    const shouldTry =
-      status === "active" || (listingClock && listingClock.length >= 300);
+  const t0 = Date.now();
+  const chargePointId = station.chargePointId;
+
+  const [chunkResults, activeSessions] = await Promise.all([
+    Promise.all(
+      fetchChunks.map(async (chunk) => {
+        const plan = await cache.planSessionChunk({ chargePointId, clockAlignedInterval, chunk });
+        const fresh = plan.fetchFrom
+          ? await listAllSessionsForStationInRange({
+              ampeco,
+              chargePointId,
+              startedAfter: toVilniusIsoWithOffset(plan.fetchFrom.toISOString()),
+              startedBefore: toVilniusIsoWithOffset(chunk.end.toISOString()),
+              clockAlignedInterval,
+              perPage,
+            })
+          : [];
+        // re-listed sessions replace their cached copies
+        return { chunk, sessions: [...fresh, ...plan.cached] };
+      })
+    ),
+    withActive
+      ? listActiveSessionsForStationBestEffort({
+          ampeco,
+          chargePointId,
+          clockAlignedInterval,
+          perPage,
+        })
+      : [],
+  ]);
 
-    if (!shouldTry) {
-      enriched.push(s);
-      continue;
+  const byId = new Map();
+  const chunkIds = chunkResults.map(() => new Set());
+  for (const [i, r] of chunkResults.entries()) {
+    for (const s of r.sessions) {
+      const id = String(s?.id ?? "");
+      if (!id) continue;
+      chunkIds[i].add(id);
+      if (!byId.has(id)) byId.set(id, s);
     }
+  }
+  for (const s of activeSessions || []) {
+    const id = String(s?.id ?? "");
+    if (id && !byId.has(id)) byId.set(id, s);
+  }
 
-    try {
-      const url = buildConsumptionStatsUrl({
-        baseUrl,
-        sessionId: s.id,
+  const t1 = Date.now();
+  const enriched = await enrichActiveSessionsConsumptionStats({
+    ampeco,
+    sessions: Array.from(byId.values()),
+    clockAlignedInterval,
+  });
+  const t2 = Date.now();
+
+  const enrichedById = new Map(enriched.map((s) => [String(s.id), s]));
+  await Promise.all(
+    chunkResults.map(({ chunk }, i) =>
+      cache.saveSessionChunk({
+        chargePointId,
         clockAlignedInterval,
-      });
-      const stats = await ampecoGetJson(url, token);
-
-      const clock =
-        (Array.isArray(stats?.data) && stats.data) ||
-        (Array.isArray(stats?.clockAlignedEnergyConsumption) &&
-          stats.clockAlignedEnergyConsumption) ||
-        (Array.isArray(stats?.data?.clockAlignedEnergyConsumption) &&
-          stats.data.clockAlignedEnergyConsumption) ||
-        null;
-
-      if (clock) enriched.push({ ...s, _consumptionStatsClockAligned: clock });
-      else enriched.push(s);
-    } catch {
-      enriched.push(s);
-    }
-  }
-  return enriched;
+        chunk,
+        sessions: Array.from(chunkIds[i], (id) => enrichedById.get(id)),
+      })
+    )
+  );
+
+  const sessions = enriched.sort(
+    (a, b) =>
+      String(a?.startedAt || "").localeCompare(String(b?.startedAt || "")) ||
+      String(a.id).localeCompare(String(b.id))
+  );
+
+  return {
+    sessions,
+    timing: {
+      chargePointId,
+      stationName: station.stationName,
+      sessions: sessions.length,
+      listMs: t1 - t0,
+      enrichMs: t2 - t1,
+      totalMs: Date.now() - t0,
+    },
+  };
 }
 
 function normalizeSessionsForN8n({ station, sessions, clockAlignedInterval }) {
@@ -283,10 +237,14 @@ function normalizeSessionsForN8n({ station, sessions, clockAlignedInterval }) {
       chargePointId: station.chargePointId,
 
       sessionId: String(s?.id ?? ""),
+      evseId: s?.evseId ?? null,
       status: s?.status ?? null,
 
       startedAt: s?.startedAt ?? null,
       stoppedAt: s?.stoppedAt ?? null,
+      energy: s?.energy ?? null,
+      meterStart: s?.meterStart ?? null,
+      meterStop: s?.meterStop ?? null,
 
       chargingPeriods: Array.isArray(s?.chargingPeriods) ? s.chargingPeriods : [],
       clockAlignedIntervalMinutes: clockAlignedInterval,
@@ -295,94 +253,6 @@ function normalizeSessionsForN8n({ station, sessions, clockAlignedInterval }) {
   });
 }
 
-/* -----------------------------
-   TARIFAS logic
--------------------------------- */
-
-const VILNIUS_TZ = "Europe/Vilnius";
-
-function vilniusParts(date) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: VILNIUS_TZ,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false,
-    timeZoneName: "shortOffset",
-  }).formatToParts(date);
-
-  const get = (t) => parts.find((p) => p.type === t)?.value;
-
-  return {
-    year: get("year"),
-    month: get("month"),
-    day: get("day"),
-    hour: Number(get("hour")),
-    minute: Number(get("minute")),
-    second: Number(get("second")),
-    tzOffset: get("timeZoneName") || "GMT+0",
-  };
-}
-
-function offsetToHHMM(tzOffsetStr) {
-  const m = String(tzOffsetStr).match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
-  if (!m) return "+00:00";
-  const sign = m[1];
-  const hh = String(m[2]).padStart(2, "0");
-  const mm = String(m[3] || "00").padStart(2, "0");
-  return `${sign}${hh}:${mm}`;
-}
-
-function toVilniusIsoWithOffset(isoString) {
-  if (!isoString) return "";
-  const d = new Date(isoString);
-  const p = vilniusParts(d);
-  const off = offsetToHHMM(p.tzOffset);
-  return `${p.year}-${p.month}-${p.day}T${String(p.hour).padStart(
-    2,
-    "0"
-  )}:${String(p.minute).padStart(2, "0")}:${String(p.second).padStart(
-    2,
-    "0"
-  )}${off}`;
-}
-
-function weekdayVilnius(date) {
-  const w = new Intl.DateTimeFormat("en-US", {
-    timeZone: VILNIUS_TZ,
-    weekday: "short",
-  }).format(date);
-  const map = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
-  return map[w] || 0;
-}
-
-function isSummerTimeVilnius(date) {
-  const p = vilniusParts(date);
-  const off = offsetToHHMM(p.tzOffset);
-  return off === "+03:00";
-}
-
-function tarifasFromVilniusTime(isoString) {
-  if (!isoString) return "";
-  const d = new Date(isoString);
-
-  const wd = weekdayVilnius(d);
-  if (wd === 6 || wd === 7) return "Naktinis";
-
-  const p = vilniusParts(d);
-  const t = p.hour * 60 + p.minute;
-
-  const summer = isSummerTimeVilnius(d);
-  const dayStart = (summer ? 8 : 7) * 60;
-  const dayEnd = (summer ? 24 : 23) * 60;
-
-  const isDay = t >= dayStart && t < Math.min(dayEnd, 1440);
-  return isDay ? "Dieninis" : "Naktinis";
-}
-
 /* -----------------------------
    Period extraction (DETAIL ROWS)
 -------------------------------- */
@@ -399,62 +269,77 @@ function inRange(d, start, end) {
   return t >= start.getTime() && t < end.getTime();
 }
 
-function getClockStartEnd(obj) {
-  const start =
-    obj?.start || obj?.startedAt || obj?.from || obj?.periodStart || null;
-  const end = obj?.end || obj?.stoppedAt || obj?.to || obj?.periodEnd || null;
-  return { start, end };
-}
-
-function getClockEnergyWh(obj) {
-  return (
-    safeNum(obj?.energyConsumed) ??
-    safeNum(obj?.energyConsumption?.total) ??
-    safeNum(obj?.energy) ??
-    safeNum(obj?.consumedEnergy) ??
-    null
-  );
-}
-
-function extractDetailRowsForStation({ sessions, startedAfter, startedBefore }) {
+// Each charging period / clock-aligned interval becomes one or more rows: intervals that
+// cross a tariff switch, Vilnius midnight or the requested range edge are split, and their
+// energy is allocated pro-rata by time (the part outside the range is dropped).
+// Intervals without a usable end fall back to "whole energy at startedAt" (if it's in range).
+function extractDetailRowsForStation({ sessions, startedAfter, startedBefore, plan }) {
   const startD = parseDateSafe(startedAfter);
   const endD = parseDateSafe(startedBefore);
 
   const rows = [];
-  let sumDay = 0;
-  let sumNight = 0;
+  const sumsByZone = Object.fromEntries(plan.zones.map((z) => [z, 0]));
   let rowsCount = 0;
 
-  for (const sess of sessions || []) {
-    const sessionId = String(sess.sessionId || "");
+  const addToZone = (tarifas, kwh) => {
+    if (kwh === null || !tarifas) return;
+    sumsByZone[tarifas] = (sumsByZone[tarifas] || 0) + kwh;
+  };
 
-    const periods = Array.isArray(sess.chargingPeriods) ? sess.chargingPeriods : [];
-    if (periods.length > 0) {
-      for (const p of periods) {
-        const started = p?.startedAt || p?.start || null;
-        const stopped = p?.stoppedAt || p?.end || null;
+  const pushRow = ({ id, energyKwh, started, stopped, tarifas }) => {
+    addToZone(tarifas, energyKwh);
+    rowsCount++;
+    rows.push({
+      id,
+      energy_kwh: energyKwh === null ? "" : +energyKwh.toFixed(6),
+      startedAt: toVilniusIsoWithOffset(started),
+      stoppedAt: toVilniusIsoWithOffset(stopped),
+      tarifas,
+    });
+  };
 
-        const dStart = parseDateSafe(started);
-        if (startD && endD && dStart && !inRange(dStart, startD, endD)) continue;
+  // returns false if nothing of the interval is inside the range
+  const emitInterval = ({ id, started, stopped, energyKwh }) => {
+    const dStart = parseDateSafe(started);
+    const dStop = parseDateSafe(stopped);
 
-        const energyWh = safeNum(p?.energy) ?? safeNum(p?.energyConsumed) ?? null;
-        const energyKwh = energyWh === null ? null : energyWh / 1000;
+    if (!dStart || !dStop || dStop <= dStart) {
+      if (startD && endD && dStart && !inRange(dStart, startD, endD)) return false;
+      pushRow({ id, energyKwh, started, stopped, tarifas: tariffZoneAt(plan, started) });
+      return true;
+    }
 
-        const tarifas = tarifasFromVilniusTime(started);
+    const pieces = splitIntervalByTariff(plan, dStart, dStop, {
+      clipStart: startD,
+      clipEnd: endD,
+    });
+    if (pieces.length === 0) return false;
+
+    pieces.forEach((piece, k) => {
+      pushRow({
+        id: pieces.length > 1 ? `${id}.${k + 1}` : id,
+        energyKwh: energyKwh === null ? null : energyKwh * piece.fraction,
+        started: piece.start.toISOString(),
+        stopped: piece.end.toISOString(),
+        tarifas: piece.zone,
+      });
+    });
+    return true;
+  };
 
-        if (energyKwh !== null) {
-          if (tarifas === "Dieninis") sumDay += energyKwh;
-          else if (tarifas === "Naktinis") sumNight += energyKwh;
-        }
+  for (const sess of sessions || []) {
+    const sessionId = String(sess.sessionId || "");
 
-        rowsCount++;
+    const periods = Array.isArray(sess.chargingPeriods) ? sess.chargingPeriods : [];
+    if (periods.length > 0) {
+      for (const p of periods) {
+        const energyWh = getPeriodEnergyWh(p);
 
-        rows.push({
+        emitInterval({
           id: p?.id ?? "",
-          energy_kwh: energyKwh === null ? "" : +energyKwh.toFixed(6),
-          startedAt: toVilniusIsoWithOffset(started),
-          stoppedAt: toVilniusIsoWithOffset(stopped),
-          tarifas,
+          started: p?.startedAt || p?.start || null,
+          stopped: p?.stoppedAt || p?.end || null,
+          energyKwh: energyWh === null ? null : energyWh / 1000,
         });
       }
       continue;
@@ -464,113 +349,684 @@ function extractDetailRowsForStation({ sessions, startedAfter, startedBefore })
       ? sess.clockAlignedEnergyConsumption
       : [];
 
-    if (clock.length > 0) {
-      let idx = 0;
-      for (const c of clock) {
-        const { start, end } = getClockStartEnd(c);
-        const dStart = parseDateSafe(start);
-        if (startD && endD && dStart && !inRange(dStart, startD, endD)) continue;
+    let idx = 0;
+    for (const c of clock) {
+      const { start, end } = getClockStartEnd(c);
+      const eWh = getClockEnergyWh(c);
 
-        const eWh = getClockEnergyWh(c);
-        const eKwh = eWh === null ? null : eWh / 1000;
+      const emitted = emitInterval({
+        id: sessionId ? `${sessionId}_${idx + 1}` : `row_${idx + 1}`,
+        started: start,
+        stopped: end,
+        energyKwh: eWh === null ? null : eWh / 1000,
+      });
+      if (emitted) idx++;
+    }
+  }
 
-        const tarifas = tarifasFromVilniusTime(start);
+  return { rows, sumsByZone, rowsCount };
+}
 
-        if (eKwh !== null) {
-          if (tarifas === "Dieninis") sumDay += eKwh;
-          else if (tarifas === "Naktinis") sumNight += eKwh;
-        }
+/* -----------------------------
+   Station summary (kWh per zone + cost)
+-------------------------------- */
 
-        rowsCount++;
-        idx++;
+// station: registry station ({ chargePointId, siteId, tariffPlan?, pricing?, ... })
+// periods: report periods (lib/periods.js) covering [startedAfter, startedBefore)
+function summarizeStation({
+  registry,
+  station,
+  sessions,
+  startedAfter,
+  startedBefore,
+  periods,
+  cycleStartDay,
+}) {
+  const plan = tariffPlanForStation(registry, station);
+  const { rows, sumsByZone, rowsCount } = extractDetailRowsForStation({
+    sessions,
+    startedAfter,
+    startedBefore,
+    plan,
+  });
 
-        rows.push({
-          id: sessionId ? `${sessionId}_${idx}` : `row_${idx}`,
-          energy_kwh: eKwh === null ? "" : +eKwh.toFixed(6),
-          startedAt: toVilniusIsoWithOffset(start),
-          stoppedAt: toVilniusIsoWithOffset(end),
-          tarifas,
-        });
-      }
+  const pricing = pricingForStation(registry, station);
+  const cost = pricing
+    ? computeStationCost({
+        pricing,
+        zones: plan.zones,
+        rows,
+        rangeStart: parseDateSafe(startedAfter),
+        rangeEnd: parseDateSafe(startedBefore),
+        cycleStartDay,
+      })
+    : null;
+
+  const byPeriod = periodBreakdown({ rows, zones: plan.zones, pricing, periods, cycleStartDay });
+
+  return { plan, pricing, rows, sumsByZone, rowsCount, cost, byPeriod };
+}
+
+// Session kWh attributed to [from, to) — what a meter reading over that span is compared with
+function sessionsKwhBetween(sessions, from, to, plan) {
+  const { sumsByZone } = extractDetailRowsForStation({
+    sessions,
+    startedAfter: from,
+    startedBefore: to,
+    plan,
+  });
+  return plan.zones.reduce((acc, z) => acc + (sumsByZone[z] || 0), 0);
+}
+
+// Totals per report period; a row belongs to the period its start falls in (rows never cross
+// a period boundary: they are split at Vilnius midnight).
+// -> [{ key, start, end, sumsByZone, rowsCount, cost }]
+function periodBreakdown({ rows, zones, pricing, periods, cycleStartDay }) {
+  return periods.map((p) => {
+    const periodRows = rows.filter((r) => {
+      const d = parseDateSafe(r.startedAt);
+      return d && inRange(d, p.start, p.end);
+    });
+
+    const sumsByZone = Object.fromEntries(zones.map((z) => [z, 0]));
+    for (const r of periodRows) {
+      if (r.energy_kwh === "" || !r.tarifas) continue;
+      sumsByZone[r.tarifas] = (sumsByZone[r.tarifas] || 0) + r.energy_kwh;
     }
+
+    const cost = pricing
+      ? computeStationCost({
+          pricing,
+          zones,
+          rows: periodRows,
+          rangeStart: p.start,
+          rangeEnd: p.end,
+          cycleStartDay,
+        })
+      : null;
+
+    return { key: p.key, start: p.start, end: p.end, sumsByZone, rowsCount: periodRows.length, cost };
+  });
+}
+
+// Vilnius calendar day totals: [{ day, byZone, totalKwh, gross }] (gross null without pricing)
+function dailyBreakdown({ rows, zones, pricing }) {
+  const byDay = new Map();
+  for (const r of rows) {
+    const day = String(r.startedAt || "").slice(0, 10);
+    if (!day) continue;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(r);
+  }
+
+  return Array.from(byDay.keys())
+    .sort()
+    .map((day) => {
+      const dayRows = byDay.get(day);
+      const byZone = Object.fromEntries(zones.map((z) => [z, 0]));
+      for (const r of dayRows) {
+        if (r.energy_kwh === "" || !r.tarifas) continue;
+        byZone[r.tarifas] = (byZone[r.tarifas] || 0) + r.energy_kwh;
+      }
+      const totalKwh = Object.values(byZone).reduce((a, b) => a + b, 0);
+      const gross = pricing
+        ? computeStationCost({ pricing, zones, rows: dayRows }).total.gross
+        : null;
+      return { day, byZone, totalKwh, gross };
+    });
+}
+
+function kwhForJson(zones, sumsByZone) {
+  const kwh = Object.fromEntries(zones.map((z) => [z, +(sumsByZone[z] || 0).toFixed(6)]));
+  const totalKwh = zones.reduce((acc, z) => acc + (sumsByZone[z] || 0), 0);
+  return { kwh, totalKwh: +totalKwh.toFixed(6) };
+}
+
+// month: label of the whole range ("2026-09" or "2026-07..2026-09")
+function summaryForJson({ month, plan, sumsByZone, rowsCount, cost, byPeriod, comparison }) {
+  return {
+    month,
+    ...kwhForJson(plan.zones, sumsByZone),
+    rows: rowsCount,
+    cost,
+    periods: byPeriod.map((p) => ({
+      month: p.key,
+      from: toVilniusIsoWithOffset(p.start.toISOString()),
+      to: toVilniusIsoWithOffset(p.end.toISOString()),
+      ...kwhForJson(plan.zones, p.sumsByZone),
+      rows: p.rowsCount,
+      cost: p.cost,
+    })),
+    ...(comparison ? { comparison } : {}),
+  };
+}
+
+// The report's last period next to the cycle before and the same cycle a year earlier
+// (lib/period-comparison.js). earlier: { previousMonth, previousYear } -> { period, sessions }
+// -> { month, partial, current, previousMonth, previousYear }; each { month, from, to, kwh,
+//    totalKwh, rows, gross }, the earlier ones with the change to current. partial: the last
+// period ends at `until` and the earlier ones were cut to the same length (lib/periods.js)
+function stationComparison({ registry, station, report, earlier, until, cycleStartDay }) {
+  const zones = report.plan.zones;
+  const totals = (p, { sumsByZone, rowsCount, cost }) => ({
+    month: p.key,
+    from: toVilniusIsoWithOffset(p.start.toISOString()),
+    to: toVilniusIsoWithOffset(p.end.toISOString()),
+    ...kwhForJson(zones, sumsByZone),
+    rows: rowsCount,
+    gross: cost ? cost.total.gross : null,
+  });
+
+  const last = report.byPeriod[report.byPeriod.length - 1];
+  const partial = Object.values(earlier).some((e) => e.period.partial === true);
+  const current = totals(partial ? { ...last, end: until } : last, last);
+  const out = { month: last.key, partial, current };
+  for (const [name, { period, sessions }] of Object.entries(earlier)) {
+    const summary = summarizeStation({
+      registry,
+      station,
+      sessions,
+      startedAfter: toVilniusIsoWithOffset(period.start.toISOString()),
+      startedBefore: toVilniusIsoWithOffset(period.end.toISOString()),
+      periods: [period],
+      cycleStartDay,
+    });
+    const before = totals(period, summary);
+    out[name] = { ...before, change: compareTotals(zones, current, before) };
+  }
+  return out;
+}
+
+// All stations together, per period: [{ month, from, to, kwh, totalKwh, rows }]
+function totalsByPeriod(reports, periods) {
+  const zones = [];
+  for (const r of reports) {
+    for (const z of r.plan.zones) if (!zones.includes(z)) zones.push(z);
   }
 
-  return { rows, sumDay, sumNight, rowsCount };
+  return periods.map((p, i) => {
+    const sums = Object.fromEntries(zones.map((z) => [z, 0]));
+    let rows = 0;
+    for (const r of reports) {
+      const bp = r.byPeriod[i];
+      for (const [z, kwh] of Object.entries(bp.sumsByZone)) sums[z] = (sums[z] || 0) + kwh;
+      rows += bp.rowsCount;
+    }
+    return {
+      month: p.key,
+      from: toVilniusIsoWithOffset(p.start.toISOString()),
+      to: toVilniusIsoWithOffset(p.end.toISOString()),
+      ...kwhForJson(Object.keys(sums), sums),
+      rows,
+    };
+  });
 }
 
 /* -----------------------------
    Excel builder
 -------------------------------- */
 
-function monthKeyFromVilniusIso(isoString) {
-  if (!isoString) return "";
-  const d = new Date(isoString);
-  const p = vilniusParts(d);
-  return `${p.year}-${p.month}`; // YYYY-MM
+const KWH_FORMAT = "0.000";
+const MONEY_FORMAT = "#,##0.00";
+const DATETIME_FORMAT = "yyyy-mm-dd hh:mm:ss";
+const DATE_FORMAT = "yyyy-mm-dd";
+
+function dateCell(iso, z = DATETIME_FORMAT) {
+  const v = excelSerialFromLocalIso(iso);
+  return v === null ? iso || "" : { t: "n", v, z };
 }
 
-// IMPORTANT: billing-cycle report month should be based on the period END (startedBefore),
-// not on startedAfter (which might be previous month day 30).
-function reportMonthKey(startedAfter, startedBefore) {
-  const endKey = monthKeyFromVilniusIso(startedBefore);
-  if (endKey) return endKey;
-  return monthKeyFromVilniusIso(startedAfter);
+function numberCell(v, z) {
+  return typeof v === "number" ? { t: "n", v, z } : v;
 }
 
-function makeStationWorksheet({ stationName, detailRows, summary }) {
+// formula with its cached value (shown until Excel recalculates)
+function formulaCell(f, v, z) {
+  return { t: "n", f, v: +Number(v || 0).toFixed(6), z };
+}
+
+function excelString(s) {
+  return `"${String(s).replace(/"/g, '""')}"`;
+}
+
+function sheetRef(sheetName, cell) {
+  return `'${String(sheetName).replace(/'/g, "''")}'!${cell}`;
+}
+
+const cellAddr = (r, c) => XLSX.utils.encode_cell({ r, c });
+const colName = (c) => XLSX.utils.encode_col(c);
+
+// Station sheet layout (0-based columns):
+// A..E detail table (frozen header, autofilter); G.. month summary, cost, comparison and daily
+// totals.
+// Returns { ws, refs } where refs are the summary/cost cells the Overview sheet links to.
+function makeStationWorksheet({ stationName, detailRows, zones, summary, daily, meter }) {
   const detailHeader = ["id", "energy_kwh", "startedAt", "stoppedAt", "tarifas"];
 
   const detailData = detailRows.map((r) => [
     r.id,
-    r.energy_kwh,
-    r.startedAt,
-    r.stoppedAt,
+    numberCell(r.energy_kwh, KWH_FORMAT),
+    dateCell(r.startedAt),
+    dateCell(r.stoppedAt),
     r.tarifas,
   ]);
 
   const ws = XLSX.utils.aoa_to_sheet([detailHeader, ...detailData]);
 
+  const lastRow = detailData.length + 1; // 1-based, header is row 1
+  ws["!autofilter"] = { ref: `A1:E${lastRow}` };
+
+  const energyRange = `$B$2:$B$${lastRow}`;
+  const startedRange = `$C$2:$C$${lastRow}`;
+  const zoneRange = `$E$2:$E$${lastRow}`;
+  const zoneSum = (zone, criteria) =>
+    `SUMIFS(${energyRange},${zoneRange},${excelString(zone)},${criteria})`;
+
+  const G = 6; // first column of the right-hand tables
+  const refs = { zoneKwh: {}, totalKwh: null, net: null, vat: null, gross: null };
+
+  // MONTH SUMMARY (G1): one row per report period (calendar month or billing cycle), one kWh
+  // column per tariff zone of the station's plan; a Total row when there are several periods
+  const periods = summary.periods;
+  const cost = summary.cost;
+  const totalCol = G + 1 + zones.length;
+  const firstPeriodRow = 2; // 0-based
+  const lastPeriodRow = firstPeriodRow + periods.length - 1;
+  const totalRow = periods.length > 1 ? lastPeriodRow + 1 : lastPeriodRow;
+  zones.forEach((z, i) => (refs.zoneKwh[z] = cellAddr(totalRow, G + 1 + i)));
+  refs.totalKwh = cellAddr(totalRow, totalCol);
+
+  const periodRows = periods.map((p, i) => {
+    const r = firstPeriodRow + i;
+    // inner period boundaries are Vilnius midnights, i.e. whole Excel serials
+    const serial = (d) => excelSerialFromLocalIso(toVilniusIsoWithOffset(d.toISOString()));
+    const from = i === 0 ? 0 : serial(p.start);
+    const to = i === periods.length - 1 ? null : serial(p.end);
+    const inPeriod =
+      `${startedRange},">=${from}"` + (to === null ? "" : `,${startedRange},"<${to}"`);
+    const total = zones.reduce((acc, z) => acc + (p.sumsByZone[z] || 0), 0);
+
+    return [
+      p.key,
+      ...zones.map((z) =>
+        formulaCell(zoneSum(z, inPeriod), p.sumsByZone[z], KWH_FORMAT)
+      ),
+      formulaCell(`SUM(${cellAddr(r, G + 1)}:${cellAddr(r, totalCol - 1)})`, total, KWH_FORMAT),
+      formulaCell(`COUNTIFS(${inPeriod})`, p.rowsCount, "0"),
+      ...(cost ? [numberCell(p.cost.total.gross, MONEY_FORMAT)] : []),
+    ];
+  });
+
+  const sumPeriods = (c, v, z) =>
+    formulaCell(`SUM(${cellAddr(firstPeriodRow, c)}:${cellAddr(lastPeriodRow, c)})`, v, z);
+  const total = zones.reduce((acc, z) => acc + (summary.byZone[z] || 0), 0);
+
   const summaryAoa = [
     [`MONTH SUMMARY (${stationName})`],
-    ["Month", "Dieninis_kWh", "Naktinis_kWh", "Total_kWh", "Rows"],
     [
-      summary.month,
-      +summary.dieninis.toFixed(6),
-      +summary.naktinis.toFixed(6),
-      +(summary.dieninis + summary.naktinis).toFixed(6),
-      summary.rows,
+      summary.cycleStartDay > 1 ? "Cycle" : "Month",
+      ...zones.map((z) => `${z}_kWh`),
+      "Total_kWh",
+      "Rows",
+      ...(cost ? ["Gross"] : []),
     ],
+    ...periodRows,
+    ...(periods.length > 1
+      ? [
+          [
+            "Total",
+            ...zones.map((z, i) => sumPeriods(G + 1 + i, summary.byZone[z], KWH_FORMAT)),
+            sumPeriods(totalCol, total, KWH_FORMAT),
+            sumPeriods(totalCol + 1, summary.rows, "0"),
+            ...(cost ? [sumPeriods(totalCol + 2, cost.total.gross, MONEY_FORMAT)] : []),
+          ],
+        ]
+      : []),
   ];
 
   XLSX.utils.sheet_add_aoa(ws, summaryAoa, { origin: "G1" });
 
+  // COST table under the month summary (only when pricing is configured); net/VAT per zone
+  // stay values because the price may change mid-range, the totals are formulas
+  let nextRow = summaryAoa.length + 1; // 0-based row after the summary + one blank row
+  if (cost) {
+    const first = nextRow + 2; // first zone line
+    const last = first + zones.length; // monthly fee line
+    const sumCol = (c) => `SUM(${cellAddr(first, c)}:${cellAddr(last, c)})`;
+
+    const costAoa = [
+      [`COST (${cost.currency})`],
+      ["Zone", "kWh", "Net", "VAT", "Gross"],
+      ...zones.map((z, i) => {
+        const line = cost.zones[z] || { kwh: 0, net: 0, vat: 0, gross: 0 };
+        const r = first + i;
+        return [
+          z,
+          formulaCell(refs.zoneKwh[z], line.kwh, KWH_FORMAT),
+          numberCell(line.net, MONEY_FORMAT),
+          numberCell(line.vat, MONEY_FORMAT),
+          formulaCell(`${cellAddr(r, G + 2)}+${cellAddr(r, G + 3)}`, line.gross, MONEY_FORMAT),
+        ];
+      }),
+      [
+        "Monthly fee",
+        "",
+        numberCell(cost.monthlyFee.net, MONEY_FORMAT),
+        numberCell(cost.monthlyFee.vat, MONEY_FORMAT),
+        formulaCell(
+          `${cellAddr(last, G + 2)}+${cellAddr(last, G + 3)}`,
+          cost.monthlyFee.gross,
+          MONEY_FORMAT
+        ),
+      ],
+      [
+        "Total",
+        formulaCell(sumCol(G + 1), cost.total.kwh, KWH_FORMAT),
+        formulaCell(sumCol(G + 2), cost.total.net, MONEY_FORMAT),
+        formulaCell(sumCol(G + 3), cost.total.vat, MONEY_FORMAT),
+        formulaCell(sumCol(G + 4), cost.total.gross, MONEY_FORMAT),
+      ],
+    ];
+    XLSX.utils.sheet_add_aoa(ws, costAoa, { origin: cellAddr(nextRow, G) });
+
+    refs.net = cellAddr(last + 1, G + 2);
+    refs.vat = cellAddr(last + 1, G + 3);
+    refs.gross = cellAddr(last + 1, G + 4);
+    nextRow += costAoa.length + 1;
+  }
+
+  // COMPARISON with the cycle before and the same cycle a year earlier (summary.comparison):
+  // the current column links to the last month summary row, the changes are formulas
+  const comparison = summary.comparison;
+  if (comparison) {
+    const first = nextRow + 2;
+    const earlier = [comparison.previousMonth, comparison.previousYear];
+    const current = (c) => cellAddr(lastPeriodRow, c);
+    const pctCell = (f, pct) =>
+      pct === null ? { t: "s", f, v: "" } : { t: "n", f, v: pct / 100, z: "0.0%" };
+
+    // [label, current cell, get, number format]; get reads a side's value and, from side.change,
+    // its change
+    const withGross = cost && earlier.every((e) => e.change.gross);
+    const lines = [
+      ...zones.map((z, i) => [z, current(G + 1 + i), (o) => o.kwh[z], KWH_FORMAT]),
+      ["Total_kWh", current(totalCol), (o) => o.totalKwh, KWH_FORMAT],
+      ...(withGross ? [["Gross", current(totalCol + 2), (o) => o.gross, MONEY_FORMAT]] : []),
+    ];
+
+    // a partial period: the earlier ones cover the same time from their start
+    const cutAt = comparison.current.to.slice(0, 16).replace("T", " ");
+    const title = comparison.partial
+      ? `COMPARISON (${comparison.month} until ${cutAt}, partial)`
+      : `COMPARISON (${comparison.month})`;
+    const comparisonAoa = [
+      [title],
+      ["", comparison.current.month, ...earlier.flatMap((e) => [e.month, "Change", "Change_%"])],
+      ...lines.map(([label, ref, get, z], i) => {
+        const r = first + i;
+        const cur = cellAddr(r, G + 1);
+        return [
+          label,
+          formulaCell(ref, get(comparison.current), z),
+          ...earlier.flatMap((e, k) => {
+            const before = cellAddr(r, G + 2 + k * 3); // the earlier period's value
+            return [
+              numberCell(get(e), z),
+              formulaCell(`${cur}-${before}`, get(e.change).change, z),
+              pctCell(`IF(${before}=0,"",(${cur}-${before})/${before})`, get(e.change).changePct),
+            ];
+          }),
+        ];
+      }),
+    ];
+    XLSX.utils.sheet_add_aoa(ws, comparisonAoa, { origin: cellAddr(nextRow, G) });
+    nextRow += comparisonAoa.length + 1;
+  }
+
+  // DAILY TOTALS (Vilnius calendar days) under the summary / cost tables
+  if (daily.length > 0) {
+    const first = nextRow + 2;
+    const last = first + daily.length - 1;
+    const dayTotalCol = G + 1 + zones.length;
+
+    const dailyAoa = [
+      ["DAILY TOTALS"],
+      ["Date", ...zones.map((z) => `${z}_kWh`), "Total_kWh", ...(cost ? ["Gross"] : [])],
+      ...daily.map((d, i) => {
+        const r = first + i;
+        const day = `$${colName(G)}${r + 1}`;
+        const inDay = `${startedRange},">="&${day},${startedRange},"<"&(${day}+1)`;
+        return [
+          dateCell(d.day, DATE_FORMAT),
+          ...zones.map((z) => formulaCell(zoneSum(z, inDay), d.byZone[z], KWH_FORMAT)),
+          formulaCell(
+            `SUM(${cellAddr(r, G + 1)}:${cellAddr(r, dayTotalCol - 1)})`,
+            d.totalKwh,
+            KWH_FORMAT
+          ),
+          ...(cost ? [numberCell(d.gross, MONEY_FORMAT)] : []),
+        ];
+      }),
+      [
+        "Total",
+        ...[...zones, "Total_kWh"].map((z, i) =>
+          formulaCell(
+            `SUM(${cellAddr(first, G + 1 + i)}:${cellAddr(last, G + 1 + i)})`,
+            z === "Total_kWh"
+              ? daily.reduce((acc, d) => acc + d.totalKwh, 0)
+              : daily.reduce((acc, d) => acc + (d.byZone[z] || 0), 0),
+            KWH_FORMAT
+          )
+        ),
+        ...(cost
+          ? [
+              formulaCell(
+                `SUM(${cellAddr(first, dayTotalCol + 1)}:${cellAddr(last, dayTotalCol + 1)})`,
+                daily.reduce((acc, d) => acc + (d.gross || 0), 0),
+                MONEY_FORMAT
+              ),
+            ]
+          : []),
+      ],
+    ];
+    XLSX.utils.sheet_add_aoa(ws, dailyAoa, { origin: cellAddr(nextRow, G) });
+    nextRow += dailyAoa.length + 1;
+  }
+
+  // METER READINGS (lib/meter-readings.js) under the daily totals: metered vs. session kWh
+  if (meter.length > 0) {
+    const first = nextRow + 2;
+    const col = (k) => colName(G + k);
+
+    const meterAoa = [
+      ["METER READINGS"],
+      [
+        "EVSE",
+        "Source",
+        "Start",
+        "Start_kWh",
+        "End",
+        "End_kWh",
+        "Meter_kWh",
+        "Sessions_kWh",
+        "Difference_kWh",
+        "Tolerance_kWh",
+        "Status",
+      ],
+      ...meter.map((m, i) => {
+        const r = first + i + 1; // 1-based Excel row
+        return [
+          m.evseId ?? "all",
+          m.source,
+          dateCell(m.start.at),
+          numberCell(m.start.kwh, KWH_FORMAT),
+          dateCell(m.end.at),
+          numberCell(m.end.kwh, KWH_FORMAT),
+          formulaCell(`${col(5)}${r}-${col(3)}${r}`, m.meterKwh, KWH_FORMAT),
+          numberCell(m.sessionsKwh, KWH_FORMAT),
+          formulaCell(`${col(7)}${r}-${col(6)}${r}`, m.differenceKwh, KWH_FORMAT),
+          numberCell(m.toleranceKwh, KWH_FORMAT),
+          {
+            t: "s",
+            f: `IF(AND(${col(6)}${r}>=0,ABS(${col(8)}${r})<=${col(9)}${r}),"OK","MISMATCH")`,
+            v: m.withinTolerance ? "OK" : "MISMATCH",
+          },
+        ];
+      }),
+    ];
+    XLSX.utils.sheet_add_aoa(ws, meterAoa, { origin: cellAddr(nextRow, G) });
+  }
+
   ws["!cols"] = [
     { wch: 16 },
     { wch: 14 },
-    { wch: 26 },
-    { wch: 26 },
+    { wch: 20 },
+    { wch: 20 },
     { wch: 12 },
     { wch: 3 },
     { wch: 28 },
+    ...zones.map(() => ({ wch: 14 })),
     { wch: 14 },
     { wch: 14 },
     { wch: 14 },
+  ];
+
+  return { ws, refs };
+}
+
+// First sheet: one row per station linking to the station sheets, plus a TOTAL row
+function makeOverviewWorksheet({ month, entries }) {
+  const zones = [];
+  for (const e of entries) {
+    for (const z of e.report.plan.zones) if (!zones.includes(z)) zones.push(z);
+  }
+  const withCost = entries.some((e) => e.report.cost);
+
+  const header = [
+    "Station",
+    "Charge point",
+    "Owner",
+    "Month",
+    "Sessions",
+    ...zones.map((z) => `${z}_kWh`),
+    "Total_kWh",
+    ...(withCost ? ["Currency", "Net", "VAT", "Gross"] : []),
+  ];
+
+  const link = (e, cell, v, z) => (cell ? formulaCell(sheetRef(e.sheetName, cell), v, z) : "");
+
+  const rows = entries.map((e) => {
+    const { report, station, refs } = e;
+    const total = report.plan.zones.reduce((acc, z) => acc + (report.sumsByZone[z] || 0), 0);
+    const cost = report.cost;
+    return [
+      station.stationName,
+      station.chargePointId,
+      station.owner || "",
+      month,
+      report.sessionsCount,
+      ...zones.map((z) => link(e, refs.zoneKwh[z], report.sumsByZone[z], KWH_FORMAT)),
+      link(e, refs.totalKwh, total, KWH_FORMAT),
+      ...(withCost
+        ? [
+            cost?.currency || "",
+            link(e, refs.net, cost?.total.net, MONEY_FORMAT),
+            link(e, refs.vat, cost?.total.vat, MONEY_FORMAT),
+            link(e, refs.gross, cost?.total.gross, MONEY_FORMAT),
+          ]
+        : []),
+    ];
+  });
+
+  const last = rows.length; // 0-based index of the last station row
+  const sumCol = (c, z) => {
+    const v = rows.reduce((acc, r) => acc + (Number(r[c]?.v ?? r[c]) || 0), 0);
+    return formulaCell(`SUM(${cellAddr(1, c)}:${cellAddr(last, c)})`, v, z);
+  };
+
+  const firstZoneCol = 5;
+  const totalRow = [
+    "TOTAL",
+    "",
+    "",
+    month,
+    sumCol(4, "0"),
+    ...zones.map((_, i) => sumCol(firstZoneCol + i, KWH_FORMAT)),
+    sumCol(firstZoneCol + zones.length, KWH_FORMAT),
+    ...(withCost
+      ? [
+          "",
+          ...[2, 3, 4].map((k) => sumCol(firstZoneCol + zones.length + k, MONEY_FORMAT)),
+        ]
+      : []),
+  ];
+
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows, totalRow]);
+  ws["!autofilter"] = { ref: `A1:${cellAddr(last, header.length - 1)}` };
+  ws["!cols"] = [
+    { wch: 28 },
+    { wch: 13 },
+    { wch: 20 },
+    { wch: 10 },
     { wch: 10 },
+    ...header.slice(5).map(() => ({ wch: 14 })),
   ];
+  return ws;
+}
 
+// Last sheet: data-quality warnings of all stations (lib/session-checks.js)
+function makeChecksWorksheet({ warnings }) {
+  const header = [
+    "Station",
+    "Charge point",
+    "Session",
+    "Period",
+    "Severity",
+    "Check",
+    "Message",
+    "Value",
+    "Expected",
+  ];
+  const rows =
+    warnings.length > 0
+      ? warnings.map((w) => [
+          w.stationName,
+          w.chargePointId,
+          w.sessionId ?? "",
+          w.periodId ?? "",
+          w.severity,
+          w.code,
+          w.message,
+          w.value ?? "",
+          w.expected ?? "",
+        ])
+      : [["", "", "", "", "", "", "No issues found", "", ""]];
+
+  const ws = XLSX.utils.aoa_to_sheet([header, ...rows]);
+  ws["!autofilter"] = { ref: `A1:${cellAddr(rows.length, header.length - 1)}` };
+  ws["!cols"] = [
+    { wch: 28 },
+    { wch: 13 },
+    { wch: 12 },
+    { wch: 10 },
+    { wch: 9 },
+    { wch: 24 },
+    { wch: 60 },
+    { wch: 10 },
+    { wch: 10 },
+  ];
   return ws;
 }
 
-function makeExcel({ stationResults, startedAfter, startedBefore }) {
+// reports: [{ stationName, plan, pricing, rows, sumsByZone, rowsCount, cost, byPeriod,
+// sessionsCount, warnings, meter, comparison }] (see summarizeStation); stations: registry stations in the same order;
+// month: label of the whole range (periodsLabel)
+function makeExcel({ reports, stations, month, cycleStartDay }) {
   const wb = XLSX.utils.book_new();
-  const month = reportMonthKey(startedAfter, startedBefore); // <-- FIXED
+  const entries = [];
 
-  for (const st of stationResults) {
-    const { rows, sumDay, sumNight, rowsCount } = extractDetailRowsForStation({
-      sessions: st.sessions,
-      startedAfter,
-      startedBefore,
-    });
+  for (const [i, st] of reports.entries()) {
+    const { plan, pricing, rows, sumsByZone, rowsCount, cost, byPeriod } = st;
 
     const detailRows =
       rows.length > 0
@@ -585,36 +1041,299 @@ function makeExcel({ stationResults, startedAfter, startedBefore }) {
             },
           ];
 
-    const ws = makeStationWorksheet({
+    const { ws, refs } = makeStationWorksheet({
       stationName: st.stationName,
       detailRows,
+      zones: plan.zones,
       summary: {
-        month,
-        dieninis: sumDay,
-        naktinis: sumNight,
+        periods: byPeriod,
+        cycleStartDay,
+        byZone: sumsByZone,
         rows: rowsCount,
+        cost,
+        comparison: st.comparison,
       },
+      daily: dailyBreakdown({ rows, zones: plan.zones, pricing }),
+      meter: st.meter,
     });
 
     const sheetName = String(st.stationName).slice(0, 31);
-    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    entries.push({ sheetName, ws, refs, report: st, station: stations[i] });
   }
 
-  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+  XLSX.utils.book_append_sheet(wb, makeOverviewWorksheet({ month, entries }), "Overview");
+  for (const e of entries) XLSX.utils.book_append_sheet(wb, e.ws, e.sheetName);
+  XLSX.utils.book_append_sheet(
+    wb,
+    makeChecksWorksheet({ warnings: reports.flatMap((r) => r.warnings) }),
+    "Checks"
+  );
+
+  const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+
+  // frozen header row on every sheet, recalculate formulas when opened
+  return applyXlsxTweaks(buf, {
+    frozenRows: wb.SheetNames.map(() => 1),
+    fullCalcOnLoad: true,
+  });
+}
+
+/* -----------------------------
+   PDF statements
+-------------------------------- */
+
+// reports: see makeExcel; stations: registry stations in the same order
+function makeStatements({ reports, stations, sites, month, startedAfter, startedBefore }) {
+  const generatedAt = toVilniusIsoWithOffset(new Date().toISOString());
+
+  return reports.map((r, i) => {
+    const station = stations[i];
+    const site = sites.find((s) => s.id === station.siteId);
+    const totalKwh = r.plan.zones.reduce((acc, z) => acc + (r.sumsByZone[z] || 0), 0);
+
+    return {
+      siteName: site?.name || station.siteName,
+      stationName: station.stationName,
+      chargePointId: station.chargePointId,
+      owner: station.owner || null,
+      periodFrom: toVilniusIsoWithOffset(startedAfter),
+      periodTo: toVilniusIsoWithOffset(startedBefore),
+      month,
+      generatedAt,
+      zones: r.plan.zones,
+      kwhByZone: r.sumsByZone,
+      totalKwh,
+      rows: r.rowsCount,
+      cost: r.cost,
+      daily: dailyBreakdown({ rows: r.rows, zones: r.plan.zones, pricing: r.pricing }),
+    };
+  });
+}
+
+/* -----------------------------
+   CSV / NDJSON detail rows
+-------------------------------- */
+
+const DETAIL_COLUMNS = ["id", "energy_kwh", "startedAt", "stoppedAt", "tarifas"].map((key) => ({
+  key,
+}));
+
+const STATION_COLUMNS = [{ key: "station" }, { key: "chargePointId" }];
+
+// same rows as the XLSX detail table, tagged with the station
+function flatDetailRows(reports, stations) {
+  return reports.flatMap((r, i) =>
+    r.rows.map((row) => ({
+      station: stations[i].stationName,
+      chargePointId: stations[i].chargePointId,
+      ...row,
+    }))
+  );
+}
+
+/* -----------------------------
+   Combined view: transactions <-> sessions (lib/combined-report.js)
+-------------------------------- */
+
+// transactions are paid when the session stops, so the listing runs a few days past the range
+const TRANSACTION_GRACE_DAYS = 3;
+
+// transaction details requested per report at most (?max_details=)
+const DEFAULT_MAX_DETAILS = 500;
+
+// Finalized transactions created in [createdAfter, createdBefore), listed like
+// api/ampeco-transactions.js does (lib/transaction-fetch.js). The ones whose listing row has no
+// session link get their details, but only for users who charged at the report's stations
+// (userIds) and at most maxDetails of them; the rest are marked _detailsSkipped.
+// -> { transactions, listing (listing debug), details (lookup stats) }
+async function fetchFinalizedTransactions({
+  ampeco,
+  cache,
+  createdAfter,
+  createdBefore,
+  userIds,
+  maxDetails,
+  concurrency,
+}) {
+  const { rows, debug: listing } = await listTransactions({
+    ampeco,
+    cache,
+    createdAfter,
+    createdBefore,
+    concurrency,
+  });
+
+  const finalized = rows.filter((t) => String(t?.status || "") === "finalized");
+  const needDetails = finalized.filter(
+    (t) => transactionSessionId(t) === null && t?.id != null && userIds.has(String(t.userId))
+  );
+  const lookupDetails = createDetailsLookup({ ampeco, cache, maxDetails, concurrency });
+  const details = await lookupDetails(needDetails.map((t) => t.id));
+  const wanted = new Set(needDetails);
+
+  const transactions = finalized.map((t) => {
+    if (!wanted.has(t)) return t;
+    if (!details.has(String(t.id))) return { ...t, _detailsSkipped: true };
+    const d = details.get(String(t.id));
+    if (!d) return t;
+    return {
+      ...t,
+      sessionId: d.sessionId ?? d.session_id ?? null,
+      purchaseResourceType: d.purchaseResourceType ?? t.purchaseResourceType ?? null,
+      purchaseResourceId: d.purchaseResourceId ?? t.purchaseResourceId ?? null,
+    };
+  });
+  return { transactions, listing, details: lookupDetails.stats };
+}
+
+const combinedColumns = (zones) => [
+  { key: "stationName", title: "Station" },
+  { key: "chargePointId", title: "Charge point" },
+  { key: "sessionId", title: "Session" },
+  { key: "sessionStatus", title: "Status" },
+  { key: "startedAt", title: "Started" },
+  { key: "stoppedAt", title: "Stopped" },
+  ...zones.map((z) => ({ key: `kwh_${z}`, title: `${z}_kWh` })),
+  { key: "energyKwh", title: "Total_kWh" },
+  { key: "transactionIds", title: "Transactions" },
+  { key: "paymentMethod", title: "Payment method" },
+  { key: "userId", title: "User" },
+  { key: "amount", title: "Amount" },
+  { key: "currency", title: "Currency" },
+  { key: "pricePerKwh", title: "Price_per_kWh" },
+  { key: "flag", title: "Flag" },
+];
+
+// combined rows with the kWh split and transaction ids flattened (CSV / NDJSON / XLSX)
+function flatCombinedRows({ zones, rows }) {
+  return rows.map(({ kwh, transactionIds, ...r }) => ({
+    ...r,
+    ...Object.fromEntries(zones.map((z) => [`kwh_${z}`, kwh[z]])),
+    transactionIds: transactionIds.join(", "),
+  }));
+}
+
+function makeCombinedExcel(combined) {
+  const columns = combinedColumns(combined.zones);
+  const kwhKeys = new Set([...combined.zones.map((z) => `kwh_${z}`), "energyKwh", "pricePerKwh"]);
+
+  const data = flatCombinedRows(combined).map((r) =>
+    columns.map(({ key }) => {
+      const v = r[key];
+      if (v === null || v === undefined) return "";
+      if (key === "startedAt" || key === "stoppedAt") return dateCell(v);
+      if (kwhKeys.has(key)) return numberCell(v, KWH_FORMAT);
+      if (key === "amount") return numberCell(v, MONEY_FORMAT);
+      return v;
+    })
+  );
+
+  const ws = XLSX.utils.aoa_to_sheet([columns.map((c) => c.title), ...data]);
+  ws["!autofilter"] = { ref: `A1:${cellAddr(Math.max(data.length, 1), columns.length - 1)}` };
+  ws["!cols"] = columns.map((c) => ({
+    wch: c.key === "stationName" ? 28 : c.key === "startedAt" || c.key === "stoppedAt" ? 18 : 14,
+  }));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Sessions & payments");
+  const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+  return applyXlsxTweaks(buf, { frozenRows: [1] });
+}
+
+/* -----------------------------
+   Profile view: load profile and peaks (lib/load-profile.js)
+-------------------------------- */
+
+// "Load profile" sheet: the hourly table at A1 (one column per station + Site, ready for a
+// line chart), the weekday table to its right, then SUMMARY, SITE BY WEEKDAY AND HOUR and PEAKS
+// under the hourly table
+function makeLoadProfileExcel(profile) {
+  const series = [...profile.stations.map((st) => st.stationName), "Site"];
+  const all = [...profile.stations, profile.site];
+  const kwh = (v) => numberCell(v, KWH_FORMAT);
+  const hh = (h) => `${String(h).padStart(2, "0")}:00`;
+
+  const ws = XLSX.utils.aoa_to_sheet([
+    ["Hour", ...series.map((n) => `${n}_kWh`)],
+    ...Array.from({ length: 24 }, (_, h) => [hh(h), ...all.map((p) => kwh(p.hourly[h]))]),
+  ]);
+
+  const weekdayCol = series.length + 2;
+  XLSX.utils.sheet_add_aoa(
+    ws,
+    [
+      ["Weekday", ...series.map((n) => `${n}_kWh_per_day`)],
+      ...profile.weekdays.map((d, w) => [d, ...all.map((p) => kwh(p.weekdays[w]))]),
+    ],
+    { origin: cellAddr(0, weekdayCol) }
+  );
+
+  const peak = profile.site.coincidentPeak;
+  const summaryAoa = [
+    [`SUMMARY (${profile.intervalMinutes}-minute intervals)`],
+    ["Station", "Total_kWh", "Peak_kW", "Utilisation_%", "Max_kW", "Load_factor_%"],
+    ...all.map((p, i) => [
+      series[i],
+      kwh(p.totalKwh),
+      kwh(p.peakKw),
+      numberCell(p.utilisationPct, "0.0"),
+      p.maxPowerKw ?? "",
+      p.loadFactorPct === null ? "" : numberCell(p.loadFactorPct, "0.0"),
+    ]),
+    [],
+    ["Coincident peak", peak ? dateCell(peak.start) : "", peak ? kwh(peak.kw) : ""],
+    ["Sum of station peaks_kW", kwh(profile.site.sumOfPeaksKw)],
+    ["Diversity factor", profile.site.diversityFactor ?? ""],
+  ];
+  let nextRow = 26; // 0-based, after the hourly table and a blank row
+  XLSX.utils.sheet_add_aoa(ws, summaryAoa, { origin: cellAddr(nextRow, 0) });
+  nextRow += summaryAoa.length + 1;
+
+  const matrixAoa = [
+    ["SITE BY WEEKDAY AND HOUR (average kWh)"],
+    ["Weekday", ...Array.from({ length: 24 }, (_, h) => hh(h))],
+    ...profile.weekdays.map((d, w) => [d, ...profile.site.byWeekdayHour[w].map(kwh)]),
+  ];
+  XLSX.utils.sheet_add_aoa(ws, matrixAoa, { origin: cellAddr(nextRow, 0) });
+  nextRow += matrixAoa.length + 1;
+
+  const peaksAoa = [
+    ["PEAKS"],
+    ["Station", "Rank", "Start", "End", "kWh", "kW"],
+    ...all.flatMap((p, i) =>
+      p.peaks.map((pk, k) => [
+        series[i],
+        k + 1,
+        dateCell(pk.start),
+        dateCell(pk.end),
+        kwh(pk.kwh),
+        kwh(pk.kw),
+      ])
+    ),
+  ];
+  XLSX.utils.sheet_add_aoa(ws, peaksAoa, { origin: cellAddr(nextRow, 0) });
+
+  ws["!cols"] = [{ wch: 28 }, ...series.map(() => ({ wch: 20 })), { wch: 3 }, { wch: 10 }];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Load profile");
+  const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+  return applyXlsxTweaks(buf, { frozenRows: [1] });
 }
 
 /* -----------------------------
    Filename + Content-Disposition (LT chars safe)
 -------------------------------- */
 
-function decideBaseFilenameFromBaseUrl(_baseUrl) {
-  return "Čiurlionio 84A";
+function decideBaseFilenameFromSites(sites) {
+  const names = (sites || []).map((s) => s.name).filter(Boolean);
+  return names.length > 0 ? names.join(" + ") : "ampeco-sessions";
 }
 
-function makeFilename(baseUrl, startedAfter, startedBefore) {
-  const month = reportMonthKey(startedAfter, startedBefore); // <-- FIXED
-  const base = decideBaseFilenameFromBaseUrl(baseUrl);
-  return `${base}_${month}.xlsx`;
+// month: "2026-09" or "2026-07..2026-09" (periodsLabel)
+function makeFilename(sites, month, ext = "xlsx") {
+  const base = decideBaseFilenameFromSites(sites);
+  return `${base}_${month}.${ext}`;
 }
 
 function sanitizeAsciiFilename(name) {
@@ -627,7 +1346,8 @@ function sanitizeAsciiFilename(name) {
 }
 
 function contentDispositionUtf8(filename) {
-  const ascii = sanitizeAsciiFilename(filename) || "report.xlsx";
+  const ext = String(filename).split(".").pop() || "xlsx";
+  const ascii = sanitizeAsciiFilename(filename) || `report.${ext}`;
   const utf8 = encodeURIComponent(filename);
   return `attachment; filename="${ascii}"; filename*=UTF-8''${utf8}`;
 }
@@ -645,59 +1365,205 @@ module.exports = async (req, res) => {
       }
     }
 
-    const baseUrl = (process.env.AMPECO_BASE_URL || "https://cp.ikrautas.lt")
-      .trim()
-      .replace(/\/$/, "");
-    const token = requireEnv("AMPECO_BEARER_TOKEN");
+    const registry = loadStationRegistry();
+    const selection = selectStations(registry, {
+      site: req.query.site,
+      chargePointId: req.query.chargePointId,
+    });
+    if (selection.error) {
+      return res.status(400).json({ ok: false, error: selection.error });
+    }
+    const { stations } = selection;
+
+    // billing cycles start on the selected sites' "billingCycleStartDay" (1 = calendar months);
+    // ?cycleStartDay= overrides it
+    let cycleStartDay;
+    if (req.query.cycleStartDay) {
+      cycleStartDay = Number(req.query.cycleStartDay);
+      if (!Number.isInteger(cycleStartDay) || cycleStartDay < 1 || cycleStartDay > 31) {
+        return res.status(400).json({ ok: false, error: "cycleStartDay must be 1..31" });
+      }
+    } else {
+      const days = [...new Set(selection.sites.map((s) => s.billingCycleStartDay || 1))];
+      if (days.length > 1) {
+        return res.status(400).json({
+          ok: false,
+          error: `Selected sites have different billing cycle start days (${days.join(", ")}); select one site or pass cycleStartDay`,
+        });
+      }
+      cycleStartDay = days[0] || 1;
+    }
 
-    const { startedAfter: defAfter, startedBefore: defBefore } =
-      toIsoLocalMonthRangeEuropeVilnius(new Date());
+    // range: ?cycle=YYYY-MM, or ?startedAfter=&startedBefore= (bounds without an offset are
+    // Vilnius local time); default is the current billing cycle
+    let rangeStart;
+    let rangeEnd;
+    if (req.query.cycle) {
+      if (req.query.startedAfter || req.query.startedBefore) {
+        return res.status(400).json({
+          ok: false,
+          error: "Use either cycle or startedAfter/startedBefore, not both",
+        });
+      }
+      const key = parsePeriodKey(req.query.cycle);
+      if (!key) {
+        return res.status(400).json({ ok: false, error: "cycle must be YYYY-MM" });
+      }
+      ({ start: rangeStart, end: rangeEnd } = cycleBounds(key.year, key.month, cycleStartDay));
+    } else {
+      const current = parsePeriodKey(periodKeyAt(new Date(), cycleStartDay));
+      const def = cycleBounds(current.year, current.month, cycleStartDay);
+      rangeStart = req.query.startedAfter ? parseVilniusLocal(req.query.startedAfter) : def.start;
+      rangeEnd = req.query.startedBefore ? parseVilniusLocal(req.query.startedBefore) : def.end;
+    }
+    if (!rangeStart || !rangeEnd || !(rangeEnd > rangeStart)) {
+      return res.status(400).json({
+        ok: false,
+        error: "Invalid range: startedAfter and startedBefore must be dates, startedAfter first",
+      });
+    }
+    const startedAfter = toVilniusIsoWithOffset(rangeStart.toISOString());
+    const startedBefore = toVilniusIsoWithOffset(rangeEnd.toISOString());
 
-    const startedAfter = String(req.query.startedAfter || defAfter);
-    const startedBefore = String(req.query.startedBefore || defBefore);
+    // summary rows: one per calendar month / billing cycle in the range
+    const periods = splitRangeIntoPeriods(rangeStart, rangeEnd, { cycleStartDay });
+
+    // sessions are listed one calendar month at a time so long ranges stay within limits
+    const fetchChunks = splitRangeIntoPeriods(rangeStart, rangeEnd);
 
     const clockAlignedInterval = Number(req.query.clockAlignedInterval || 15);
+    if (!CLOCK_ALIGNED_INTERVALS.includes(clockAlignedInterval)) {
+      return res.status(400).json({
+        ok: false,
+        error: `clockAlignedInterval must be one of ${CLOCK_ALIGNED_INTERVALS.join(", ")} (minutes)`,
+      });
+    }
     const format = String(req.query.format || "json").toLowerCase();
     const perPage = Math.min(100, Math.max(1, Number(req.query.per_page || 100)));
+    const maxDetails = Math.min(
+      200000,
+      Math.max(1, Number(req.query.max_details || DEFAULT_MAX_DETAILS) || DEFAULT_MAX_DETAILS)
+    );
+
+    const view = String(req.query.view || "stations").toLowerCase();
+    if (!["stations", "combined", "profile"].includes(view)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Invalid view: ${view} (stations, combined, profile)` });
+    }
+    if (view === "profile" && !["json", "xlsx"].includes(format)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `format=${format} is not available for view=profile` });
+    }
 
-    const stationResults = [];
-    let totalSessions = 0;
+    // view=profile: peak intervals listed per station and for the site
+    const top = view === "profile" ? Number(req.query.top || DEFAULT_TOP_PEAKS) : null;
+    if (view === "profile" && (!Number.isInteger(top) || top < 1 || top > 100)) {
+      return res.status(400).json({ ok: false, error: "Invalid top: expected 1..100" });
+    }
+    if (view === "combined" && format === "pdf") {
+      return res.status(400).json({ ok: false, error: "format=pdf is not available for view=combined" });
+    }
 
-    for (const station of stations) {
-      let inRangeSessions = await listAllSessionsForStationInRange({
-        baseUrl,
-        token,
-        chargePointId: station.chargePointId,
-        startedAfter,
-        startedBefore,
-        clockAlignedInterval,
-        perPage,
-      });
+    // per station: the last period next to the one before and the same one a year earlier
+    // (JSON summary.comparison, COMPARISON table in the XLSX); ?compare=1, since it lists those
+    // periods too
+    const compare =
+      view === "stations" &&
+      ["json", "xlsx"].includes(format) &&
+      String(req.query.compare || "0") === "1";
+
+    const flatOpts = flatExportOptionsFromQuery(req.query, { defaultBom: format === "csv" });
+    if (flatOpts.error && ["csv", "ndjson"].includes(format)) {
+      return res.status(400).json({ ok: false, error: flatOpts.error });
+    }
 
-      let activeSessions = await listActiveSessionsForStationBestEffort({
-        baseUrl,
-        token,
-        chargePointId: station.chargePointId,
-        clockAlignedInterval,
-        perPage,
-      });
+    const month = periodsLabel(periods);
 
-      const byId = new Map();
-      for (const s of [...(inRangeSessions || []), ...(activeSessions || [])]) {
-        if (!s) continue;
-        const id = String(s.id ?? "");
-        if (!id) continue;
-        if (!byId.has(id)) byId.set(id, s);
-      }
+    // data-quality checks: average power above this is flagged as implausible
+    const maxKw = Number(req.query.maxKw || DEFAULT_MAX_KW);
+    if (!Number.isFinite(maxKw) || maxKw <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid maxKw: expected a positive number" });
+    }
 
-      let mergedSessions = Array.from(byId.values());
+    // meter-reading reconciliation (lib/meter-readings.js)
+    const { tolerance: meterTolerance, error: toleranceError } = parseMeterTolerance(
+      req.query.meterTolerance
+    );
+    const { readings: meterReadings, error: readingsError } = parseMeterReadings(
+      req.query.meterReadings,
+      { rangeStart, rangeEnd }
+    );
+    if (toleranceError || readingsError) {
+      return res.status(400).json({ ok: false, error: toleranceError || readingsError });
+    }
 
-      mergedSessions = await enrichActiveSessionsConsumptionStats({
-        baseUrl,
-        token,
-        sessions: mergedSessions,
-        clockAlignedInterval,
-      });
+    const stationResults = [];
+    const reports = [];
+    const allWarnings = [];
+    let totalSessions = 0;
+
+    // stations, their month chunks and consumption-stats calls all run concurrently; the client
+    // keeps at most `concurrency` AMPECO requests in flight for the whole request
+    const ampecoConfig = ampecoConfigFromEnv();
+    const concurrency = Math.min(
+      25,
+      Math.max(1, Number(req.query.concurrency || ampecoConfig.concurrency || 6) || 6)
+    );
+    const ampeco = createAmpecoClient({ ...ampecoConfig, concurrency });
+
+    // finalized sessions from the store (AMPECO_CACHE); ?refresh=1 re-lists everything
+    const cache = createRecordCache({
+      store: storeFromEnv(),
+      refresh: String(req.query.refresh || "0") === "1",
+    });
+
+    // a period still running is compared with the same elapsed part of the earlier ones
+    const comparedUntil = new Date(Math.min(rangeEnd.getTime(), Date.now()));
+    const earlierPeriods =
+      compare && periods.length > 0
+        ? comparisonPeriods(periods[periods.length - 1].key, cycleStartDay, comparedUntil)
+        : null;
+
+    const fetchStartedMs = Date.now();
+    const [fetched, fetchedEarlier] = await Promise.all([
+      Promise.all(
+        stations.map((station) =>
+          fetchStationSessions({
+            ampeco,
+            cache,
+            station,
+            fetchChunks,
+            clockAlignedInterval,
+            perPage,
+          })
+        )
+      ),
+      earlierPeriods
+        ? Promise.all(
+            stations.map((station) =>
+              Promise.all(
+                Object.values(earlierPeriods).map((p) =>
+                  fetchStationSessions({
+                    ampeco,
+                    cache,
+                    station,
+                    fetchChunks: splitRangeIntoPeriods(p.start, p.end),
+                    clockAlignedInterval,
+                    perPage,
+                    withActive: false,
+                  })
+                )
+              )
+            )
+          )
+        : null,
+    ]);
+    const fetchMs = Date.now() - fetchStartedMs;
+
+    for (const [i, station] of stations.entries()) {
+      const mergedSessions = fetched[i].sessions;
 
       const normalized = normalizeSessionsForN8n({
         station,
@@ -707,31 +1573,252 @@ module.exports = async (req, res) => {
 
       totalSessions += normalized.length;
 
+      const report = summarizeStation({
+        registry,
+        station,
+        sessions: normalized,
+        startedAfter,
+        startedBefore,
+        periods,
+        cycleStartDay,
+      });
+      // sessions still active may have started in a period compared with
+      const active = mergedSessions.filter((sess) => String(sess?.status || "") === "active");
+      const comparison = earlierPeriods
+        ? stationComparison({
+            registry,
+            cycleStartDay,
+            station,
+            report,
+            until: comparedUntil,
+            earlier: Object.fromEntries(
+              Object.entries(earlierPeriods).map(([name, period], k) => {
+                const listed = fetchedEarlier[i][k].sessions;
+                const ids = new Set(listed.map((sess) => String(sess.id)));
+                const sessions = [...listed, ...active.filter((a) => !ids.has(String(a.id)))];
+                return [
+                  name,
+                  {
+                    period,
+                    sessions: normalizeSessionsForN8n({ station, sessions, clockAlignedInterval }),
+                  },
+                ];
+              })
+            ),
+          })
+        : null;
+
+      const meter = reconcileStationMeters({
+        station,
+        sessions: normalized,
+        readings: meterReadings,
+        tolerance: meterTolerance,
+        energyKwhBetween: (list, from, to) => sessionsKwhBetween(list, from, to, report.plan),
+      });
+      const warnings = [
+        ...checkStationSessions({ station, sessions: normalized, maxKw }),
+        ...meterWarnings(station, meter),
+      ];
+      allWarnings.push(...warnings);
+
+      reports.push({
+        stationName: station.stationName,
+        sessionsCount: normalized.length,
+        warnings,
+        meter,
+        ...report,
+        comparison,
+      });
+
       stationResults.push({
+        siteId: station.siteId,
         stationName: station.stationName,
         chargePointId: station.chargePointId,
+        tariffPlan: report.plan.id,
+        tariffZones: report.plan.zones,
+        summary: summaryForJson({ month, ...report, comparison }),
+        meter,
         sessionsCount: normalized.length,
         sessions: normalized,
       });
     }
 
+    if (view === "profile") {
+      const profile = loadProfile({
+        entries: stations.map((station, i) => {
+          const site = registry.sites.find((x) => x.id === station.siteId);
+          const maxPowerKw = Number(station.maxPowerKw ?? site?.maxPowerKw);
+          return {
+            station,
+            sessions: stationResults[i].sessions,
+            maxPowerKw: Number.isFinite(maxPowerKw) && maxPowerKw > 0 ? maxPowerKw : null,
+          };
+        }),
+        rangeStart,
+        rangeEnd,
+        intervalMinutes: clockAlignedInterval,
+        top,
+      });
+
+      if (format === "xlsx") {
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        res.setHeader(
+          "Content-Disposition",
+          contentDispositionUtf8(makeFilename(selection.sites, `${month}_load-profile`))
+        );
+        return res.status(200).send(makeLoadProfileExcel(profile));
+      }
+
+      return res.status(200).json({
+        ok: true,
+        generatedAt: new Date().toISOString(),
+        view,
+        range: { startedAfter, startedBefore, clockAlignedInterval, cycle: month, cycleStartDay },
+        sites: selection.sites.map((s) => ({ id: s.id, name: s.name })),
+        ...profile,
+        debug: {
+          concurrency,
+          fetchMs,
+          ampecoRequests: ampeco.stats,
+          cache: cache.stats,
+        },
+      });
+    }
+
+    if (view === "combined") {
+      const createdAfter = startedAfter;
+      const createdBefore = toVilniusIsoWithOffset(
+        new Date(rangeEnd.getTime() + TRANSACTION_GRACE_DAYS * 86400000).toISOString()
+      );
+      // users who charged at the report's stations: only their transactions can be this
+      // report's, linked or not
+      const userIds = new Set(
+        fetched
+          .flatMap((f) => f.sessions)
+          .filter((sess) => sess?.userId != null)
+          .map((sess) => String(sess.userId))
+      );
+      const {
+        transactions,
+        listing,
+        details: transactionDetails,
+      } = await fetchFinalizedTransactions({
+        ampeco,
+        cache,
+        createdAfter,
+        createdBefore,
+        userIds,
+        maxDetails,
+        concurrency,
+      });
+
+      const combined = combineTransactionsWithSessions({
+        stations: stations.map((station, i) => ({
+          station,
+          sessions: stationResults[i].sessions,
+          zones: reports[i].plan.zones,
+        })),
+        transactions,
+        // whole session, not clipped to the range: that is what the transaction paid for
+        kwhByZone: (sess, station) =>
+          extractDetailRowsForStation({
+            sessions: [sess],
+            startedAfter: null,
+            startedBefore: null,
+            plan: reports[stations.indexOf(station)].plan,
+          }).sumsByZone,
+        // flagged: created in the range by one of the stations' users, and looked at in full
+        inRange: (t) => {
+          const created = parseDateSafe(t?.createdAt);
+          return (
+            Boolean(created) &&
+            created >= rangeStart &&
+            created < rangeEnd &&
+            userIds.has(String(t.userId)) &&
+            !t._detailsSkipped
+          );
+        },
+      });
+
+      if (format === "xlsx") {
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        res.setHeader(
+          "Content-Disposition",
+          contentDispositionUtf8(makeFilename(selection.sites, `${month}_payments`))
+        );
+        return res.status(200).send(makeCombinedExcel(combined));
+      }
+
+      if (format === "csv" || format === "ndjson") {
+        const rows = flatCombinedRows(combined);
+        const body =
+          format === "csv"
+            ? toCsv(rows, combinedColumns(combined.zones), flatOpts)
+            : toNdjson(rows, flatOpts);
+        res.setHeader(
+          "Content-Type",
+          format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+        );
+        res.setHeader(
+          "Content-Disposition",
+          contentDispositionUtf8(makeFilename(selection.sites, `${month}_payments`, format))
+        );
+        return res.status(200).send(Buffer.from(body, "utf8"));
+      }
+
+      return res.status(200).json({
+        ok: true,
+        generatedAt: new Date().toISOString(),
+        view,
+        range: { startedAfter, startedBefore, clockAlignedInterval, cycle: month, cycleStartDay },
+        transactionsRange: { createdAfter, createdBefore },
+        sites: selection.sites.map((s) => ({ id: s.id, name: s.name })),
+        zones: combined.zones,
+        totals: combined.totals,
+        transactionDetails,
+        rows: combined.rows,
+        debug: {
+          concurrency,
+          fetchMs,
+          transactionListing: listing,
+          ampecoRequests: ampeco.stats,
+          cache: cache.stats,
+        },
+      });
+    }
+
     const payload = {
       ok: true,
       generatedAt: new Date().toISOString(),
-      range: { startedAfter, startedBefore, clockAlignedInterval },
-      totals: { sessions: totalSessions },
+      range: { startedAfter, startedBefore, clockAlignedInterval, cycle: month, cycleStartDay },
+      sites: selection.sites.map((s) => ({ id: s.id, name: s.name })),
+      totals: { sessions: totalSessions, periods: totalsByPeriod(reports, periods) },
       stations: stationResults,
+      warnings: allWarnings,
       noSessions: totalSessions === 0,
       message:
         totalSessions === 0
           ? "There were no sessions in the selected period."
           : "Sessions fetched successfully.",
+      debug: {
+        concurrency,
+        fetchMs,
+        ampecoRequests: ampeco.stats,
+        cache: cache.stats,
+        stations: fetched.map((f) => f.timing),
+      },
     };
 
     if (format === "xlsx") {
-      const buf = makeExcel({ stationResults, startedAfter, startedBefore });
+      const buf = makeExcel({ reports, stations, month, cycleStartDay });
 
-      const filename = makeFilename(baseUrl, startedAfter, startedBefore); // <-- FIXED
+      const filename = makeFilename(selection.sites, month);
 
       res.setHeader(
         "Content-Type",
@@ -741,6 +1828,69 @@ module.exports = async (req, res) => {
       return res.status(200).send(buf);
     }
 
+    if (format === "csv" || format === "ndjson") {
+      const bundle = String(req.query.bundle || "").toLowerCase() === "zip";
+
+      if (format === "csv" && bundle) {
+        const files = reports.map((r, i) => ({
+          name: `${stations[i].stationName}_${month}.csv`,
+          data: toCsv(r.rows, DETAIL_COLUMNS, flatOpts),
+        }));
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader(
+          "Content-Disposition",
+          contentDispositionUtf8(makeFilename(selection.sites, month, "zip"))
+        );
+        return res.status(200).send(makeZip(files));
+      }
+
+      const rows = flatDetailRows(reports, stations);
+      const body =
+        format === "csv"
+          ? toCsv(rows, [...STATION_COLUMNS, ...DETAIL_COLUMNS], flatOpts)
+          : toNdjson(rows, flatOpts);
+
+      res.setHeader(
+        "Content-Type",
+        format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        contentDispositionUtf8(makeFilename(selection.sites, month, format))
+      );
+      return res.status(200).send(Buffer.from(body, "utf8"));
+    }
+
+    if (format === "pdf") {
+      const statements = makeStatements({
+        reports,
+        stations,
+        sites: selection.sites,
+        month,
+        startedAfter,
+        startedBefore,
+      });
+
+      if (String(req.query.bundle || "").toLowerCase() === "zip") {
+        const files = statements.map((st) => ({
+          name: `${st.stationName}_${month}.pdf`,
+          data: makeStatementsPdf([st], { title: `${st.stationName} ${month}` }),
+        }));
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader(
+          "Content-Disposition",
+          contentDispositionUtf8(makeFilename(selection.sites, month, "zip"))
+        );
+        return res.status(200).send(makeZip(files));
+      }
+
+      const filename = makeFilename(selection.sites, month, "pdf");
+      const buf = makeStatementsPdf(statements, { title: filename.replace(/\.pdf$/, "") });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", contentDispositionUtf8(filename));
+      return res.status(200).send(buf);
+    }
+
     return res.status(200).json(payload);
   } catch (e) {
     return res.status(500).json({
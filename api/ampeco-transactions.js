@@ -4,10 +4,54 @@
 // GET /api/ampeco-transactions?createdAfter=...&createdBefore=...&per_page=100&max_pages=200&max_items=20000
 //
 // ✅ Robust "fetch ALL" logic:
-// - Handles relative links.next
-// - Prevents cursor loops
-// - Multi-pass sweep to catch missing records when dataset changes mid-pagination
-// - Fixes AbortController retry bug (per-attempt controller)
+// - AMPECO requests go through lib/ampeco-client.js (timeouts, retries incl. 429 Retry-After,
+//   relative links.next, cursor loop detection)
+// - Time-windowed listing (lib/transaction-windows.js): the range is listed in createdAfter/
+//   createdBefore windows of at most window_pages pages (default 10); a window that needs more
+//   is split, one whose listing looped or came up short is listed again, then split.
+//   debug.fetchAll.windows shows every window listed (pages, count, status)
+// - With AMPECO_CACHE set, a range that ended over a week ago with only settled transactions
+//   is served from the store, as are settled transaction details (lib/record-cache.js);
+//   refresh=1 fetches everything again
+// - Listing and detail lookups go through lib/transaction-fetch.js, shared with the ?view=combined
+//   report of api/ampeco-sessions.js
+//
+// ✅ Filter (lib/transaction-filter.js): declarative rules, each counted in
+//   debug.filterDropReasons
+//   preset=default            paid, finalized card payments (paymentRegex) of users with
+//                             requireInvoice false (the original fixed pipeline)
+//   preset=invoice-required   paid, finalized transactions of users with requireInvoice true
+//   preset=refunds            finalized transactions with a negative amount
+//   preset=all-finalized      every paid, finalized transaction
+//   filter=<JSON rules>       own rules instead, e.g.
+//     [{"name":"notBalance","field":"paymentMethod","op":"eq","value":"Balance"},
+//      {"name":"early","field":"createdAt","op":"lt","value":"2026-09-15T00:00:00Z"}]
+//
+// ✅ mode=invoice: transactions of business customers (default preset invoice-required) plus
+//   customers[]: one entry per customer, month (LT) and currency with the normalised company
+//   fields (name, code, vatCode, address), totals and the transactions to invoice
+//   (lib/invoice-customers.js)
+//
+// ✅ format=isaf | xlsx | csv: accounting export of the filtered transactions instead of JSON
+//   (lib/accounting-export.js): one document per transaction numbered by txNumber, LT dates,
+//   gross split into net + VAT (vatRate=0.21 default)
+//   - isaf: VMI i.SAF sales register XML; needs the seller's company code
+//     (registrationNumber=... or ISAF_REGISTRATION_NUMBER)
+//   - csv: UTF-8 with BOM; delimiter= / decimal= / bom= as in lib/flat-export.js
+//   Transaction details are always fetched for the exports (they carry txNumber), without the
+//   max_details cap; the export fails if any of them cannot be fetched. i.SAF leaves credit
+//   notes (refunds, type KS) out, since they must reference the invoice they correct; their
+//   count is in the X-Isaf-Credit-Notes-Omitted header.
+//
+// ✅ format=ndjson streams instead of buffering: one listing page at a time goes through the
+//   filter and user lookups, and every transaction that passes is written as a line
+//   {"type":"transaction",...} right away. The last line is
+//   {"type":"end","done":...,"nextCursor":...,"fetchedCount":...,"filterDropReasons":...}, or
+//   {"type":"error","error":...,"nextCursor":...} if AMPECO fails midway.
+//   - max_pages=N / limit=N (transactions) end an invocation early; call again with the same
+//     filter params and cursor=<nextCursor> to continue (the cursor carries the range, see
+//     lib/sweep-cursor.js). A resumed page can repeat transactions: dedupe by transactionId.
+//   - one pass over the listing, no time windows and no listing cache
 //
 // ✅ SessionId support remains the same:
 //   includeSession=1
@@ -19,9 +63,34 @@
 //   transactionDateLt, createdAtLt, finalizedAtLt, lastUpdatedAtLt
 // - Also if you omit createdAfter/createdBefore, defaults are computed in LT time
 //
-// ENV REQUIRED:
-// AMPECO_BASE_URL = https://cp.ikrautas.lt
-// AMPECO_TOKEN    = <Bearer token>
+// ENV:
+// AMPECO_TOKEN    = <Bearer token> (required; AMPECO_BEARER_TOKEN also accepted)
+// AMPECO_BASE_URL = https://cp.ikrautas.lt (optional, this is the default)
+// AMPECO_CACHE    = memory | file:<dir> | sqlite:<file> | kv (optional, lib/store.js)
+// ISAF_REGISTRATION_NUMBER = seller's company code for format=isaf (optional)
+
+const { ampecoConfigFromEnv, createAmpecoClient } = require("../lib/ampeco-client");
+const { runWithConcurrency } = require("../lib/concurrency");
+const { storeFromEnv } = require("../lib/store");
+const { createRecordCache } = require("../lib/record-cache");
+const {
+  PAYMENT_CARD_REGEX,
+  transactionFilterFromQuery,
+  applyFilterRules,
+} = require("../lib/transaction-filter");
+const { groupInvoiceCustomers } = require("../lib/invoice-customers");
+const {
+  ACCOUNTING_COLUMNS,
+  parseVatRate,
+  accountingRows,
+  makeAccountingExcel,
+  makeIsafXml,
+} = require("../lib/accounting-export");
+const { flatExportOptionsFromQuery, toCsv } = require("../lib/flat-export");
+const { encodeSweepCursor, decodeSweepCursor } = require("../lib/sweep-cursor");
+const { DEFAULT_PAGE_BUDGET } = require("../lib/transaction-windows");
+const { listTransactions, createDetailsLookup } = require("../lib/transaction-fetch");
+const pkg = require("../package.json");
 
 module.exports = async (req, res) => {
   try {
@@ -30,19 +99,15 @@ module.exports = async (req, res) => {
       return res.status(405).json({ ok: false, error: "Method not allowed" });
     }
 
-    const baseUrl = String(process.env.AMPECO_BASE_URL || "").replace(/\/$/, "");
-    const token = process.env.AMPECO_TOKEN;
-
-    if (!baseUrl || !token) {
+    const ampecoConfig = ampecoConfigFromEnv();
+    if (ampecoConfig.missing.length > 0) {
       return res.status(500).json({
         ok: false,
         error: "Missing env vars",
-        missing: {
-          AMPECO_BASE_URL: !baseUrl,
-          AMPECO_TOKEN: !token,
-        },
+        missing: Object.fromEntries(ampecoConfig.missing.map((name) => [name, true])),
       });
     }
+    const ampeco = createAmpecoClient(ampecoConfig);
 
     // ---------- query params ----------
     const perPage = clampInt(req.query.per_page, 1, 100, 100);
@@ -63,8 +128,14 @@ module.exports = async (req, res) => {
       0
     ); // LT start of next month
 
-    const createdAfter = toIsoOrDefault(req.query.createdAfter, defaultCreatedAfter);
-    const createdBefore = toIsoOrDefault(req.query.createdBefore, defaultCreatedBefore);
+    // a streaming cursor carries the range it was started with
+    const { cursor: resume, error: cursorError } = decodeSweepCursor(req.query.cursor);
+    if (cursorError) return res.status(400).json({ ok: false, error: cursorError });
+
+    const createdAfter =
+      resume?.createdAfter ?? toIsoOrDefault(req.query.createdAfter, defaultCreatedAfter);
+    const createdBefore =
+      resume?.createdBefore ?? toIsoOrDefault(req.query.createdBefore, defaultCreatedBefore);
 
     // hard caps (still respected)
     const maxPages = clampInt(req.query.max_pages, 1, 2000, 200);
@@ -72,223 +143,198 @@ module.exports = async (req, res) => {
 
     const concurrency = clampInt(req.query.concurrency, 1, 25, 10);
 
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!["json", "ndjson", "isaf", "xlsx", "csv"].includes(format)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Invalid format: ${format} (json, ndjson, isaf, xlsx, csv)` });
+    }
+    if (resume && format !== "ndjson") {
+      return res.status(400).json({ ok: false, error: "cursor is only for format=ndjson" });
+    }
+
+    // streaming: stop after the page that brings the emitted transactions to limit
+    const limit = req.query.limit ? clampInt(req.query.limit, 1, 200000, null) : null;
+
+    const { vatRate, error: vatError } = parseVatRate(req.query.vatRate);
+    if (vatError) return res.status(400).json({ ok: false, error: vatError });
+
+    const csvOptions = flatExportOptionsFromQuery(req.query, { defaultBom: true });
+    if (format === "csv" && csvOptions.error) {
+      return res.status(400).json({ ok: false, error: csvOptions.error });
+    }
+
+    const isafRegistrationNumber = String(
+      req.query.registrationNumber || process.env.ISAF_REGISTRATION_NUMBER || ""
+    ).trim();
+    if (format === "isaf" && !isafRegistrationNumber) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          "format=isaf needs the seller's company code (registrationNumber or ISAF_REGISTRATION_NUMBER)",
+      });
+    }
+
+    // exports number documents by txNumber, which only the transaction details have: every
+    // exported transaction needs them, so max_details does not apply
+    const accountingExport = ["isaf", "xlsx", "csv"].includes(format);
     const includeSession =
+      accountingExport ||
       String(req.query.includeSession ?? req.query.include_session ?? "0") === "1";
 
     const detailsConcurrency = clampInt(req.query.details_concurrency, 1, 25, 10);
-    const maxDetails = clampInt(req.query.max_details, 1, 200000, 5000);
-
-    // How many full sweeps to do to avoid "missing 5-10" due to live dataset.
-    const sweepPasses = clampInt(req.query.sweep_passes, 1, 5, 3);
+    const maxDetails = accountingExport
+      ? Infinity
+      : clampInt(req.query.max_details, 1, 200000, 5000);
+
+    // Listing windows: window_pages pages at most per window before it is split; window_hours
+    // cuts the range up front (default: start with the whole range)
+    const windowPages = clampInt(req.query.window_pages, 1, 100, DEFAULT_PAGE_BUDGET);
+    const windowHours = clampInt(req.query.window_hours, 0, 24 * 366, 0);
+
+    const cache = createRecordCache({
+      store: storeFromEnv(),
+      refresh: String(req.query.refresh || "0") === "1",
+    });
 
-    // payment method regex (same intent as your n8n regex)
+    // payment method regex (same intent as your n8n regex), used by the presets that match cards
     const paymentRegexStr =
       typeof req.query.paymentRegex === "string" && req.query.paymentRegex.trim()
         ? req.query.paymentRegex.trim()
-        : String.raw`.*\*{4}\s*\d{4}\b`;
+        : PAYMENT_CARD_REGEX;
 
     let paymentRegex;
     try {
       paymentRegex = new RegExp(paymentRegexStr);
     } catch {
-      paymentRegex = /.*\*{4}\s*\d{4}\b/;
+      paymentRegex = new RegExp(PAYMENT_CARD_REGEX);
     }
 
-    // ---------- 1) Fetch ALL transactions (cursor pagination, sweep) ----------
-    const firstUrl =
-      `${baseUrl}/public-api/resources/transactions/v1.0` +
-      `?filter[createdAfter]=${encodeURIComponent(createdAfter)}` +
-      `&filter[createdBefore]=${encodeURIComponent(createdBefore)}` +
-      `&per_page=${encodeURIComponent(String(perPage))}` +
-      `&cursor`;
-
-    const fetchDebug = {
-      pagesFetchedTotal: 0,
-      passes: [],
-      hitMaxPages: false,
-      hitMaxItems: false,
-      loopBreaks: 0,
-      tz: "Europe/Vilnius",
-    };
-
-    // Dedupe across sweeps by transaction id
-    const byId = new Map(); // id -> transactionRow
-
-    for (let pass = 1; pass <= sweepPasses; pass++) {
-      let nextUrl = firstUrl;
-      let pagesFetchedThisPass = 0;
-      let addedThisPass = 0;
-
-      // Avoid infinite loops if API returns same next cursor again
-      const seenNextUrls = new Set();
-
-      while (nextUrl && pagesFetchedThisPass < maxPages && byId.size < maxItems) {
-        pagesFetchedThisPass++;
-        fetchDebug.pagesFetchedTotal++;
-
-        const loopKey = String(nextUrl);
-        if (seenNextUrls.has(loopKey)) {
-          fetchDebug.loopBreaks++;
-          break;
-        }
-        seenNextUrls.add(loopKey);
-
-        const json = await fetchJson(nextUrl, token);
-
-        const rows = Array.isArray(json?.data) ? json.data : [];
-        for (const r of rows) {
-          const id = r?.id;
-          if (id == null) continue;
-          const key = String(id);
-          if (!byId.has(key)) {
-            byId.set(key, r);
-            addedThisPass++;
-            if (byId.size >= maxItems) break;
-          }
-        }
-
-        const rawNext =
-          (json?.links && typeof json.links.next === "string" && json.links.next) ||
-          (json?.links && typeof json.links.next_url === "string" && json.links.next_url) ||
-          (typeof json?.next_url === "string" && json.next_url) ||
-          null;
-
-        nextUrl = normalizeNextUrl(rawNext, baseUrl);
-        if (!nextUrl) break;
-      }
-
-      if (pagesFetchedThisPass >= maxPages) fetchDebug.hitMaxPages = true;
-      if (byId.size >= maxItems) fetchDebug.hitMaxItems = true;
-
-      fetchDebug.passes.push({
-        pass,
-        pagesFetchedThisPass,
-        addedThisPass,
-        totalUniqueSoFar: byId.size,
-      });
-
-      // If a pass added 0 new ids, we’re stable -> stop early
-      if (addedThisPass === 0) break;
+    const mode = String(req.query.mode || "payments").toLowerCase();
+    if (!["payments", "invoice"].includes(mode)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Invalid mode: ${mode} (payments, invoice)` });
     }
-
-    const transactions = Array.from(byId.values());
-
-    // ---------- 2) Filter transactions (unchanged) ----------
-    const reasons = {
-      totalZero: 0,
-      statusNotFinal: 0,
-      payNoMatch: 0,
-      missingUserId: 0,
-    };
-    const filtered = [];
-
-    for (const t of transactions) {
-      const totalAmount = Number(t?.totalAmount ?? t?.amount ?? 0);
-      const status = String(t?.status ?? "");
-      const paymentMethod = String(t?.paymentMethod ?? "");
-      const userId = t?.userId;
-
-      if (!Number.isFinite(totalAmount) || totalAmount === 0) {
-        reasons.totalZero++;
-        continue;
-      }
-      if (status !== "finalized") {
-        reasons.statusNotFinal++;
-        continue;
-      }
-      if (!paymentRegex.test(paymentMethod)) {
-        reasons.payNoMatch++;
-        continue;
-      }
-      if (userId == null) {
-        reasons.missingUserId++;
-        continue;
-      }
-
-      filtered.push(t);
+    if (mode === "invoice" && format === "ndjson") {
+      return res.status(400).json({
+        ok: false,
+        error: "mode=invoice groups the whole range and cannot be streamed (format=ndjson)",
+      });
     }
 
-    // ---------- 3) Build unique userId set ----------
-    const userIds = [...new Set(filtered.map((t) => String(t.userId)))];
+    const { filter, error: filterError } = transactionFilterFromQuery(
+      // invoice mode defaults to the invoice customers' transactions
+      mode === "invoice" && !req.query.preset
+        ? { ...req.query, preset: "invoice-required" }
+        : req.query,
+      { paymentRegex: paymentRegex.source }
+    );
+    if (filterError) return res.status(400).json({ ok: false, error: filterError });
+
+    // ---------- 2-5) Filter, users, details: processBatch() runs them on a batch of listing
+    // rows (the whole range, or one page at a time when streaming); lookups are shared ----------
+    const reasons = Object.fromEntries(filter.rules.map((r) => [r.name, 0]));
+    let filteredCount = 0;
+    const usersAfterFilter = new Set();
 
     const invoiceCache = new Map(); // userId -> invoiceDetails|null
     const userCache = new Map(); // userId -> userProfile|null
+    const allowedUsers = new Map(); // userId -> { email, invoiceDetails }
 
     let invoiceFetchErrors = 0;
     let userFetchErrors = 0;
 
-    const userTasks = userIds.map((userId) => async () => {
-      // invoice-details
-      let invoiceDetails = invoiceCache.get(userId);
-      if (invoiceDetails === undefined) {
-        const url = `${baseUrl}/public-api/resources/users/v1.0/${encodeURIComponent(
-          userId
-        )}/invoice-details`;
-        try {
-          invoiceDetails = await fetchJson(url, token);
-          invoiceCache.set(userId, invoiceDetails);
-        } catch {
-          invoiceFetchErrors++;
-          invoiceDetails = null;
-          invoiceCache.set(userId, null);
-        }
-      }
+    const lookupDetails = createDetailsLookup({
+      ampeco,
+      cache,
+      maxDetails,
+      concurrency: detailsConcurrency,
+    });
 
-      const requireInvoice = invoiceDetails?.requireInvoice;
+    async function processBatch(rows) {
+      // 2) listing rules (lib/transaction-filter.js)
+      const filtered = applyFilterRules(filter.rules, "transaction", rows, reasons);
+      filteredCount += filtered.length;
 
-      if (requireInvoice !== false) {
-        return { userId, allowed: false, email: null, invoiceDetails };
-      }
+      // 3) invoice details of their users, then the invoiceDetails.* rules
+      const userIds = [
+        ...new Set(filtered.filter((t) => t.userId != null).map((t) => String(t.userId))),
+      ];
+      for (const userId of userIds) usersAfterFilter.add(userId);
 
-      let email =
-        pickFirstString(
-          invoiceDetails?.email,
-          invoiceDetails?.userEmail,
-          invoiceDetails?.contactEmail,
-          invoiceDetails?.billingEmail
-        ) || null;
-
-      if (!email) {
-        let profile = userCache.get(userId);
-        if (profile === undefined) {
-          const url = `${baseUrl}/public-api/resources/users/v1.0/${encodeURIComponent(
-            userId
-          )}`;
+      const invoiceTasks = userIds
+        .filter((userId) => !invoiceCache.has(userId))
+        .map((userId) => async () => {
           try {
-            profile = await fetchJson(url, token);
-            userCache.set(userId, profile);
+            invoiceCache.set(userId, await ampeco.getUserInvoiceDetails(userId));
           } catch {
-            userFetchErrors++;
-            profile = null;
-            userCache.set(userId, null);
+            invoiceFetchErrors++;
+            invoiceCache.set(userId, null);
+          }
+        });
+      await runWithConcurrency(invoiceTasks, concurrency);
+
+      const invoiceOf = (t) =>
+        t.userId == null ? null : (invoiceCache.get(String(t.userId)) ?? null);
+      const passed = applyFilterRules(
+        filter.rules,
+        "user",
+        filtered.map((t) => ({ ...t, invoiceDetails: invoiceOf(t) })),
+        reasons
+      );
+
+      // emails only for the users that still have transactions
+      const passedUserIds = [
+        ...new Set(passed.filter((t) => t.userId != null).map((t) => String(t.userId))),
+      ].filter((userId) => !allowedUsers.has(userId));
+
+      const userTasks = passedUserIds.map((userId) => async () => {
+        const invoiceDetails = invoiceCache.get(userId) ?? null;
+
+        let email =
+          pickFirstString(
+            invoiceDetails?.email,
+            invoiceDetails?.userEmail,
+            invoiceDetails?.contactEmail,
+            invoiceDetails?.billingEmail
+          ) || null;
+
+        if (!email) {
+          let profile = userCache.get(userId);
+          if (profile === undefined) {
+            try {
+              profile = await ampeco.getUser(userId);
+              userCache.set(userId, profile);
+            } catch {
+              userFetchErrors++;
+              profile = null;
+              userCache.set(userId, null);
+            }
           }
-        }
 
-        email =
-          pickFirstString(profile?.email, profile?.data?.email, profile?.user?.email) ||
-          null;
-      }
+          email =
+            pickFirstString(profile?.email, profile?.data?.email, profile?.user?.email) ||
+            null;
+        }
 
-      return { userId, allowed: true, email, invoiceDetails };
-    });
+        return { userId, email, invoiceDetails };
+      });
 
-    const userResults = await runWithConcurrency(userTasks, concurrency);
+      const userResults = await runWithConcurrency(userTasks, concurrency);
 
-    const allowedUsers = new Map();
-    for (const r of userResults) {
-      if (r && r.allowed) {
-        allowedUsers.set(String(r.userId), {
-          email: r.email || null,
-          invoiceDetails: r.invoiceDetails || null,
-        });
+      for (const r of userResults) {
+        if (r) {
+          allowedUsers.set(String(r.userId), {
+            email: r.email || null,
+            invoiceDetails: r.invoiceDetails || null,
+          });
+        }
       }
-    }
 
-    // ---------- 4) Return ALL filtered transactions whose user is allowlisted ----------
-    let finalTransactions = filtered
-      .filter((t) => allowedUsers.has(String(t.userId)))
-      .map((t) => {
-        const u = allowedUsers.get(String(t.userId));
+      // 4) the transactions that passed the filter
+      const items = passed.map((t) => {
+        const u = t.userId == null ? null : allowedUsers.get(String(t.userId));
 
         const transactionDate = pickFirstString(
           t?.finalizedAt,
@@ -311,6 +357,7 @@ module.exports = async (req, res) => {
           userId: t?.userId ?? null,
           status: t?.status ?? null,
           totalAmount: t?.totalAmount ?? null,
+          currency: t?.currency ?? null,
           paymentMethod: t?.paymentMethod ?? null,
 
           // UTC/offset timestamps (as received)
@@ -326,51 +373,19 @@ module.exports = async (req, res) => {
           lastUpdatedAtLt: toLtIso(lastUpdatedAt),
 
           userEmail: u?.email ?? null,
-          requireInvoice: false,
-          invoiceDetails: u?.invoiceDetails ?? null,
+          requireInvoice: t.invoiceDetails?.requireInvoice ?? null,
+          invoiceDetails: t.invoiceDetails ?? null,
         };
       });
 
-    // ---------- 5) OPTIONAL: Fetch transaction details to get sessionId ----------
-    let sessionFetchErrors = 0;
-    let sessionFetched = 0;
-    const detailsCache = new Map();
-
-    if (includeSession) {
-      const capped = finalTransactions.slice(0, maxDetails);
-
-      const detailTasks = capped.map((t) => async () => {
-        const txId = t?.transactionId;
-        if (txId == null) return { txId: null, details: null };
-
-        const key = String(txId);
-        if (detailsCache.has(key)) return { txId: key, details: detailsCache.get(key) };
-
-        const url = `${baseUrl}/public-api/resources/transactions/v1.0/${encodeURIComponent(
-          key
-        )}`;
-
-        try {
-          const details = await fetchJson(url, token);
-          detailsCache.set(key, details);
-          sessionFetched++;
-          return { txId: key, details };
-        } catch {
-          sessionFetchErrors++;
-          detailsCache.set(key, null);
-          return { txId: key, details: null };
-        }
-      });
-
-      const detailResults = await runWithConcurrency(detailTasks, detailsConcurrency);
+      // 5) OPTIONAL: transaction details for sessionId (at most maxDetails per request)
+      if (!includeSession) return items;
 
-      const byTxId = new Map();
-      for (const r of detailResults) {
-        if (!r?.txId) continue;
-        byTxId.set(String(r.txId), r.details);
-      }
+      const byTxId = await lookupDetails(
+        items.filter((t) => t?.transactionId != null).map((t) => t.transactionId)
+      );
 
-      finalTransactions = finalTransactions.map((t) => {
+      return items.map((t) => {
         const txId = t?.transactionId != null ? String(t.transactionId) : null;
         const d = txId ? byTxId.get(txId) : null;
 
@@ -404,33 +419,177 @@ module.exports = async (req, res) => {
       });
     }
 
+    // ---------- Streaming (format=ndjson): page by page, resumable with cursor= ----------
+    if (format === "ndjson") {
+      res.status(200);
+      res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+
+      const writeLine = async (obj) => {
+        if (res.write(JSON.stringify(obj) + "\n") === false) {
+          await new Promise((resolve) => res.once("drain", resolve));
+        }
+      };
+
+      const seen = new Set(); // ids only: a page can repeat rows of the one before
+      let fetchedCount = 0;
+      let emittedCount = 0;
+      let pages = 0;
+      // the page to resume from if this invocation fails (null = the start of the range)
+      let resumeUrl = resume?.page ? `${ampeco.baseUrl}${resume.page}` : null;
+      const cursorAt = (nextUrl) => encodeSweepCursor({ createdAfter, createdBefore, nextUrl });
+
+      try {
+        const listing = await ampeco.listTransactions(
+          { createdAfter, createdBefore, perPage },
+          {
+            maxPages,
+            startUrl: resumeUrl || undefined,
+            async onPage(rows, { nextUrl }) {
+              pages++;
+              const fresh = rows.filter((r) => r?.id != null && !seen.has(String(r.id)));
+              for (const r of fresh) seen.add(String(r.id));
+              fetchedCount += fresh.length;
+
+              for (const t of await processBatch(fresh)) {
+                await writeLine({ type: "transaction", ...t });
+                emittedCount++;
+              }
+              resumeUrl = nextUrl;
+              return !(limit && emittedCount >= limit);
+            },
+          }
+        );
+
+        await writeLine({
+          type: "end",
+          done: listing.nextUrl === null,
+          nextCursor: listing.nextUrl === null ? null : cursorAt(listing.nextUrl),
+          createdAfter,
+          createdBefore,
+          pages,
+          fetchedCount,
+          filteredCount,
+          emittedCount,
+          filterDropReasons: reasons,
+          loopBreaks: listing.loopBreaks,
+          ampecoRequests: ampeco.stats,
+        });
+      } catch (err) {
+        await writeLine({
+          type: "error",
+          error: err?.message || String(err),
+          nextCursor: cursorAt(resumeUrl),
+          emittedCount,
+        });
+      }
+      return res.end();
+    }
+
+    // ---------- 1) Fetch ALL transactions (time windows, lib/transaction-fetch.js) ----------
+    const { rows: transactions, debug: listingDebug } = await listTransactions({
+      ampeco,
+      cache,
+      createdAfter,
+      createdBefore,
+      perPage,
+      pageBudget: windowPages,
+      windowMs: windowHours ? windowHours * 3600 * 1000 : null,
+      maxPages,
+      maxItems,
+      concurrency,
+    });
+    const fetchDebug = { ...listingDebug, tz: "Europe/Vilnius" };
+
+    const finalTransactions = await processBatch(transactions);
+
+    // ---------- 6) Invoice mode: per customer, month and currency ----------
+    const customers = mode === "invoice" ? groupInvoiceCustomers(finalTransactions) : undefined;
+
+    // ---------- 7) Accounting exports ----------
+    if (format !== "json") {
+      // a missing txNumber would put T<id> into the tax register
+      if (lookupDetails.stats.errors > 0) {
+        throw new Error(
+          `Transaction details failed for ${lookupDetails.stats.errors} transaction(s); the export needs their document numbers`
+        );
+      }
+      const rows = accountingRows(finalTransactions, { vatRate });
+      const periodStart = toLtIso(createdAfter).slice(0, 10);
+      const periodEnd = toLtIso(new Date(Date.parse(createdBefore) - 1).toISOString()).slice(0, 10);
+      const base = `ampeco-transactions_${periodStart}_${periodEnd}`;
+
+      let body;
+      let contentType;
+      let filename;
+      if (format === "isaf") {
+        // credit notes need the invoice they correct, which AMPECO does not give: left out and
+        // counted in a header, to be entered by hand (format=csv / xlsx lists them as KS)
+        const creditNotes = rows.filter((r) => r.documentType === "KS");
+        res.setHeader("X-Isaf-Credit-Notes-Omitted", String(creditNotes.length));
+        body = makeIsafXml(
+          rows.filter((r) => r.documentType !== "KS"),
+          {
+            registrationNumber: isafRegistrationNumber,
+            periodStart,
+            periodEnd,
+            createdAt: toLtIso(new Date().toISOString()),
+            software: {
+              company: process.env.ISAF_SOFTWARE_COMPANY || pkg.name,
+              name: pkg.name,
+              version: pkg.version,
+            },
+          }
+        );
+        contentType = "application/xml; charset=utf-8";
+        filename = `${base}_isaf.xml`;
+      } else if (format === "xlsx") {
+        body = makeAccountingExcel(rows);
+        contentType = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+        filename = `${base}.xlsx`;
+      } else {
+        body = toCsv(rows, ACCOUNTING_COLUMNS, csvOptions);
+        contentType = "text/csv; charset=utf-8";
+        filename = `${base}.csv`;
+      }
+
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.status(200).send(Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8"));
+    }
+
     return res.status(200).json({
       ok: true,
+      mode,
       createdAfter,
       createdBefore,
       per_page: perPage,
 
       fetchedCount: transactions.length,
-      filteredCount: filtered.length,
+      filteredCount,
 
-      uniqueUsersAfterFilter: userIds.length,
+      uniqueUsersAfterFilter: usersAfterFilter.size,
       allowlistedUsers: allowedUsers.size,
 
       requireInvoiceFalseTransactionCount: finalTransactions.length,
 
+      ...(customers ? { customerCount: customers.length, customers } : {}),
+
       debug: {
         paymentRegex: paymentRegex.toString(),
+        filter: { preset: filter.preset, rules: filter.spec },
         filterDropReasons: reasons,
         invoiceDetailsFetchErrors: invoiceFetchErrors,
         userProfileFetchErrors: userFetchErrors,
 
         includeSession,
-        sessionFetched,
-        sessionFetchErrors,
+        sessionFetched: lookupDetails.stats.requested - lookupDetails.stats.errors,
+        sessionFetchErrors: lookupDetails.stats.errors,
         detailsConcurrency,
         maxDetails,
 
         fetchAll: fetchDebug,
+        ampecoRequests: ampeco.stats,
+        cache: cache.stats,
 
         // LT info
         timeZone: "Europe/Vilnius",
@@ -440,7 +599,7 @@ module.exports = async (req, res) => {
           maxItems,
           hitMaxPages: fetchDebug.hitMaxPages,
           hitMaxItems: fetchDebug.hitMaxItems,
-          hitMaxDetails: includeSession && finalTransactions.length > maxDetails,
+          hitMaxDetails: lookupDetails.stats.skipped > 0,
         },
       },
 
@@ -477,15 +636,6 @@ function pickFirstString(...vals) {
   return null;
 }
 
-function normalizeNextUrl(nextUrl, baseUrl) {
-  if (!nextUrl) return null;
-  const s = String(nextUrl).trim();
-  if (!s) return null;
-  if (s.startsWith("http://") || s.startsWith("https://")) return s;
-  if (s.startsWith("/")) return `${baseUrl}${s}`;
-  return `${baseUrl}/${s}`;
-}
-
 // Convert any parseable datetime string to an ISO-like string in Europe/Vilnius.
 // Output format: YYYY-MM-DDTHH:mm:ss+02:00 / +03:00 (DST aware)
 function toLtIso(value) {
@@ -574,65 +724,3 @@ function formatInTimeZoneIso(date, timeZone) {
 
   return `${Y}-${M}-${D}T${h}:${m}:${s}${sign}${hh}:${mm}`;
 }
-
-async function fetchJson(url, token) {
-  for (let attempt = 1; attempt <= 4; attempt++) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 25000);
-
-    try {
-      const r = await fetch(url, {
-        method: "GET",
-        headers: {
-          accept: "application/json",
-          authorization: `Bearer ${token}`,
-        },
-        signal: controller.signal,
-      });
-
-      const text = await r.text();
-
-      if (r.ok) {
-        try {
-          return JSON.parse(text);
-        } catch {
-          throw new Error(`Non-JSON response: ${text.slice(0, 500)}`);
-        }
-      }
-
-      const retryable = r.status === 429 || (r.status >= 500 && r.status <= 599);
-      if (!retryable || attempt === 4) {
-        throw new Error(`HTTP ${r.status} ${r.statusText}: ${text.slice(0, 500)}`);
-      }
-
-      await sleep(300 * attempt);
-    } finally {
-      clearTimeout(timeout);
-    }
-  }
-
-  throw new Error("Unexpected fetchJson fallthrough");
-}
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function runWithConcurrency(tasks, limit) {
-  const out = [];
-  let i = 0;
-
-  const workers = Array.from({ length: limit }, async () => {
-    while (i < tasks.length) {
-      const idx = i++;
-      try {
-        out[idx] = await tasks[idx]();
-      } catch {
-        out[idx] = null;
-      }
-    }
-  });
-
-  await Promise.all(workers);
-  return out;
-}
@@ -0,0 +1,210 @@
+// lib/accounting-export.js
+// Accounting exports of api/ampeco-transactions.js (?format=isaf|xlsx|csv): one document per
+// transaction, numbered by its AMPECO txNumber (T<transactionId> when AMPECO has none), dated in
+// Europe/Vilnius time, with the VAT-inclusive amount split into net + VAT:
+//   net = round2(gross / (1 + vatRate)), vat = gross - net
+// Negative amounts (refunds) are credit documents (type KS). An i.SAF credit note must reference
+// the invoice it corrects, which AMPECO does not give, so the i.SAF export leaves them out.
+//
+// Buyers with requireInvoice true are companies (fields from lib/invoice-customers.js); the
+// others are private persons, written to i.SAF as "ND" (not given) codes.
+//
+// i.SAF: VMI sales register (iSAF1.2, DataType S), UTF-8 so Lithuanian letters are kept.
+
+const XLSX = require("xlsx");
+
+const { companyFromInvoiceDetails } = require("./invoice-customers");
+const { applyXlsxTweaks, excelSerialFromLocalIso } = require("./xlsx-tweaks");
+
+const DEFAULT_VAT_RATE = 0.21;
+const ISAF_NS = "http://www.vmi.lt/cms/imas/isaf";
+const NOT_GIVEN = "ND";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "0.21" | "21" | undefined -> { vatRate, error }
+function parseVatRate(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return { vatRate: DEFAULT_VAT_RATE, error: null };
+  }
+  const n = Number(String(raw).trim().replace(/%$/, ""));
+  if (!Number.isFinite(n) || n < 0 || n >= 100) {
+    return { vatRate: null, error: `Invalid vatRate: ${raw} (like 0.21 or 21)` };
+  }
+  return { vatRate: n >= 1 ? n / 100 : n, error: null };
+}
+
+// transactions: response items of api/ampeco-transactions.js -> accounting rows
+function accountingRows(transactions, { vatRate = DEFAULT_VAT_RATE } = {}) {
+  return transactions.map((t) => {
+    const gross = round2(Number(t.totalAmount) || 0);
+    const net = round2(gross / (1 + vatRate));
+    const isCompany = t.invoiceDetails?.requireInvoice === true;
+    const company = isCompany ? companyFromInvoiceDetails(t.invoiceDetails) : null;
+    const dateLt = t.transactionDateLt || t.createdAtLt || null;
+
+    return {
+      documentNo: t.txNumber || `T${t.transactionId}`,
+      documentType: gross < 0 ? "KS" : "SF",
+      date: dateLt ? dateLt.slice(0, 10) : null,
+      transactionDateLt: dateLt,
+      transactionId: t.transactionId,
+      customerId: t.userId ?? null,
+      customerType: isCompany ? "company" : "person",
+      customerName: company?.name ?? null,
+      customerCode: company?.code ?? null,
+      customerVatCode: company?.vatCode ?? null,
+      customerAddress: company?.address ?? null,
+      email: t.userEmail ?? null,
+      paymentMethod: t.paymentMethod ?? null,
+      currency: t.currency ?? null,
+      vatRate: round2(vatRate * 100),
+      net,
+      vat: round2(gross - net),
+      gross,
+      sessionId: t.sessionId ?? null,
+    };
+  });
+}
+
+const ACCOUNTING_COLUMNS = [
+  { key: "documentNo", title: "Document No" },
+  { key: "documentType", title: "Type" },
+  { key: "date", title: "Date" },
+  { key: "transactionDateLt", title: "Transaction date (LT)" },
+  { key: "transactionId", title: "Transaction" },
+  { key: "customerId", title: "Customer ID" },
+  { key: "customerType", title: "Customer type" },
+  { key: "customerName", title: "Company" },
+  { key: "customerCode", title: "Company code" },
+  { key: "customerVatCode", title: "VAT code" },
+  { key: "customerAddress", title: "Address" },
+  { key: "email", title: "Email" },
+  { key: "paymentMethod", title: "Payment method" },
+  { key: "currency", title: "Currency" },
+  { key: "vatRate", title: "VAT_%" },
+  { key: "net", title: "Net" },
+  { key: "vat", title: "VAT" },
+  { key: "gross", title: "Gross" },
+  { key: "sessionId", title: "Session" },
+];
+
+const MONEY_KEYS = new Set(["net", "vat", "gross"]);
+const COLUMN_WIDTHS = { transactionDateLt: 19, customerName: 30, customerAddress: 30, email: 24 };
+
+function makeAccountingExcel(rows) {
+  const data = rows.map((r) =>
+    ACCOUNTING_COLUMNS.map(({ key }) => {
+      const v = r[key];
+      if (v === null || v === undefined) return "";
+      if (key === "date" || key === "transactionDateLt") {
+        const serial = excelSerialFromLocalIso(v);
+        const z = key === "date" ? "yyyy-mm-dd" : "yyyy-mm-dd hh:mm:ss";
+        return serial === null ? v : { t: "n", v: serial, z };
+      }
+      if (MONEY_KEYS.has(key)) return { t: "n", v, z: "#,##0.00" };
+      return v;
+    })
+  );
+
+  const last = rows.length + 1;
+  const totalRow = ACCOUNTING_COLUMNS.map(({ key }, c) => {
+    if (c === 0) return "TOTAL";
+    if (!MONEY_KEYS.has(key)) return "";
+    const letter = XLSX.utils.encode_col(c);
+    const v = round2(rows.reduce((acc, r) => acc + r[key], 0));
+    return { t: "n", f: `SUM(${letter}2:${letter}${last})`, v, z: "#,##0.00" };
+  });
+
+  const ws = XLSX.utils.aoa_to_sheet([ACCOUNTING_COLUMNS.map((c) => c.title), ...data, totalRow]);
+  const lastCell = XLSX.utils.encode_cell({
+    r: Math.max(rows.length, 1),
+    c: ACCOUNTING_COLUMNS.length - 1,
+  });
+  ws["!autofilter"] = { ref: `A1:${lastCell}` };
+  ws["!cols"] = ACCOUNTING_COLUMNS.map(({ key }) => ({ wch: COLUMN_WIDTHS[key] || 14 }));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Transactions");
+  const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+  return applyXlsxTweaks(buf, { frozenRows: [1], fullCalcOnLoad: true });
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const money = (n) => Number(n).toFixed(2);
+
+function isafInvoice(r) {
+  const el = (name, value) => `<${name}>${xmlEscape(value)}</${name}>`;
+  const company = r.customerType === "company";
+  return [
+    "<Invoice>",
+    el("InvoiceNo", r.documentNo),
+    "<CustomerInfo>",
+    el("CustomerID", r.customerId ?? ""),
+    el("VATRegistrationNumber", (company && r.customerVatCode) || NOT_GIVEN),
+    el("RegistrationNumber", (company && r.customerCode) || NOT_GIVEN),
+    el("Country", "LT"),
+    el("Name", (company && r.customerName) || NOT_GIVEN),
+    "</CustomerInfo>",
+    el("InvoiceDate", r.date),
+    el("InvoiceType", r.documentType),
+    "<SpecialTaxation/>",
+    "<References/>",
+    el("VATPointDate", r.date),
+    "<DocumentTotals>",
+    "<DocumentTotal>",
+    el("TaxableValue", money(r.net)),
+    el("TaxCode", "PVM1"),
+    el("TaxPercentage", r.vatRate),
+    el("Amount", money(r.vat)),
+    el("VATPointDate2", r.date),
+    "</DocumentTotal>",
+    "</DocumentTotals>",
+    "</Invoice>",
+  ].join("");
+}
+
+// rows: accountingRows(); registrationNumber: the seller's company code;
+// periodStart / periodEnd: "YYYY-MM-DD" (inclusive); createdAt: Vilnius ISO string
+function makeIsafXml(rows, { registrationNumber, periodStart, periodEnd, createdAt, software }) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<iSAFFile xmlns="${ISAF_NS}">` +
+    "<Header><FileDescription>" +
+    "<FileVersion>iSAF1.2</FileVersion>" +
+    `<FileDateCreated>${xmlEscape(String(createdAt).slice(0, 19))}</FileDateCreated>` +
+    "<DataType>S</DataType>" +
+    `<SoftwareCompanyName>${xmlEscape(software.company)}</SoftwareCompanyName>` +
+    `<SoftwareName>${xmlEscape(software.name)}</SoftwareName>` +
+    `<SoftwareVersion>${xmlEscape(software.version)}</SoftwareVersion>` +
+    `<RegistrationNumber>${xmlEscape(registrationNumber)}</RegistrationNumber>` +
+    "<NumberOfParts>1</NumberOfParts>" +
+    "<PartNumber>1</PartNumber>" +
+    "<SelectionCriteria>" +
+    `<SelectionStartDate>${xmlEscape(periodStart)}</SelectionStartDate>` +
+    `<SelectionEndDate>${xmlEscape(periodEnd)}</SelectionEndDate>` +
+    "</SelectionCriteria>" +
+    "</FileDescription></Header>" +
+    "<SourceDocuments><SalesInvoices>" +
+    rows.map(isafInvoice).join("") +
+    "</SalesInvoices></SourceDocuments>" +
+    "</iSAFFile>\n"
+  );
+}
+
+module.exports = {
+  DEFAULT_VAT_RATE,
+  ACCOUNTING_COLUMNS,
+  parseVatRate,
+  accountingRows,
+  makeAccountingExcel,
+  makeIsafXml,
+};
@@ -0,0 +1,155 @@
+// lib/active-sessions.js
+// Sessions still charging: the consumption-stats enrichment api/ampeco-sessions.js applies to
+// active / long sessions, and the per-station live status of api/ampeco-live.js.
+//
+// Live status of a station at `now`:
+//   { charging, since, energyKwh, powerKw, zone, sessions: [{ sessionId, evseId, startedAt,
+//     durationMinutes, energyKwh, powerKw, powerFrom, powerTo, powerStale }] }
+// - energyKwh: the session's energy so far (its total, else the sum of its clock-aligned slices)
+// - powerKw: average power of the latest clock-aligned slice with energy (the part up to now
+//   when it is still running); powerStale when that slice ended more than two intervals ago,
+//   e.g. a car that is plugged in but no longer drawing power. The station's powerKw leaves
+//   stale sessions out
+// - zone: the station's tariff zone in effect now (lib/tariffs.js)
+
+const { toVilniusIsoWithOffset } = require("./vilnius-time");
+const { tariffZoneAt } = require("./tariffs");
+const { safeNum, getClockStartEnd, getClockEnergyWh } = require("./session-fields");
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+function timeMs(value) {
+  const t = Date.parse(value || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+// clock-aligned slices of a session, the enriched ones first
+function sessionClock(s) {
+  if (Array.isArray(s?._consumptionStatsClockAligned) && s._consumptionStatsClockAligned.length) {
+    return s._consumptionStatsClockAligned;
+  }
+  return Array.isArray(s?.clockAlignedEnergyConsumption) ? s.clockAlignedEnergyConsumption : [];
+}
+
+function clockStats(stats) {
+  return (
+    (Array.isArray(stats?.data) && stats.data) ||
+    (Array.isArray(stats?.clockAlignedEnergyConsumption) && stats.clockAlignedEnergyConsumption) ||
+    (Array.isArray(stats?.data?.clockAlignedEnergyConsumption) &&
+      stats.data.clockAlignedEnergyConsumption) ||
+    null
+  );
+}
+
+// Consumption stats for active / long sessions, requested concurrently (the client's
+// concurrency limit applies). With skip(session) the sessions it returns true for keep their
+// listing slices (the live view only asks when the listing lags behind).
+async function enrichActiveSessionsConsumptionStats({
+  ampeco,
+  sessions,
+  clockAlignedInterval,
+  skip = () => false,
+}) {
+  return Promise.all(
+    sessions.map(async (s) => {
+      const status = String(s?.status || "");
+      const listingClock = Array.isArray(s?.clockAlignedEnergyConsumption)
+        ? s.clockAlignedEnergyConsumption
+        : [];
+
+      // cached sessions were enriched when they were stored
+      const shouldTry =
+        !s?._consumptionStatsClockAligned &&
+        (status === "active" || (listingClock && listingClock.length >= 300));
+
+      if (!shouldTry || skip(s)) return s;
+
+      try {
+        const stats = await ampeco.getSessionConsumptionStats(s.id, { clockAlignedInterval });
+        const clock = clockStats(stats);
+        return clock ? { ...s, _consumptionStatsClockAligned: clock } : s;
+      } catch {
+        return s;
+      }
+    })
+  );
+}
+
+// latest slice with energy -> { from, to, energyWh } (to capped at now) | null
+function latestSlice(clock, nowMs) {
+  let latest = null;
+  for (const c of clock) {
+    const { start, end } = getClockStartEnd(c);
+    const energyWh = getClockEnergyWh(c);
+    const from = timeMs(start);
+    if (from === null || energyWh === null || from >= nowMs) continue;
+    const to = Math.min(timeMs(end) ?? nowMs, nowMs);
+    if (!(to > from)) continue;
+    if (!latest || from > latest.from) latest = { from, to, energyWh };
+  }
+  return latest;
+}
+
+// true when the listing's slices already reach the last two intervals before now
+function clockIsRecent(s, { now, clockAlignedInterval }) {
+  const slice = latestSlice(sessionClock(s), now.getTime());
+  return Boolean(slice) && now.getTime() - slice.to <= 2 * clockAlignedInterval * 60000;
+}
+
+function liveSession(s, { now, clockAlignedInterval }) {
+  const nowMs = now.getTime();
+  const clock = sessionClock(s);
+  const started = timeMs(s?.startedAt);
+
+  let energyWh = safeNum(s?.energy);
+  if (energyWh === null && clock.length > 0) {
+    energyWh = clock.reduce((acc, c) => acc + (getClockEnergyWh(c) ?? 0), 0);
+  }
+
+  const slice = latestSlice(clock, nowMs);
+  const powerKw = slice
+    ? round3(slice.energyWh / 1000 / ((slice.to - slice.from) / 3600000))
+    : null;
+
+  return {
+    sessionId: String(s?.id ?? ""),
+    evseId: s?.evseId ?? null,
+    startedAt: started === null ? null : toVilniusIsoWithOffset(s.startedAt),
+    durationMinutes: started === null ? null : Math.max(0, Math.floor((nowMs - started) / 60000)),
+    energyKwh: energyWh === null ? null : round3(energyWh / 1000),
+    powerKw,
+    powerFrom: slice ? toVilniusIsoWithOffset(new Date(slice.from).toISOString()) : null,
+    powerTo: slice ? toVilniusIsoWithOffset(new Date(slice.to).toISOString()) : null,
+    powerStale: slice ? nowMs - slice.to > 2 * clockAlignedInterval * 60000 : null,
+  };
+}
+
+// station: registry station; sessions: its active sessions (enriched); plan: its tariff plan
+function liveStationStatus({ station, sessions, plan, now, clockAlignedInterval }) {
+  const live = sessions
+    .filter((s) => String(s?.status || "") === "active")
+    .map((s) => liveSession(s, { now, clockAlignedInterval }))
+    .sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+
+  const sum = (list, key) =>
+    round3(list.reduce((acc, s) => acc + (s[key] === null ? 0 : s[key]), 0));
+  // stale slices are not current power
+  const drawing = live.filter((s) => s.powerStale === false);
+
+  return {
+    chargePointId: station.chargePointId,
+    stationName: station.stationName,
+    siteId: station.siteId,
+    siteName: station.siteName,
+    charging: live.length > 0,
+    since: live.length > 0 ? live[0].startedAt : null,
+    energyKwh: live.length > 0 ? sum(live, "energyKwh") : null,
+    powerKw: live.length > 0 ? sum(drawing, "powerKw") : null,
+    zone: tariffZoneAt(plan, now),
+    tariffPlan: plan.id,
+    sessions: live,
+    error: null,
+  };
+}
+
+module.exports = { enrichActiveSessionsConsumptionStats, clockIsRecent, liveStationStatus };
@@ -0,0 +1,284 @@
+// lib/ampeco-client.js
+// AMPECO public API client shared by the endpoints.
+//
+// Config (ampecoConfigFromEnv):
+// - AMPECO_BASE_URL   (optional, default https://cp.ikrautas.lt)
+// - AMPECO_TOKEN      Bearer token (AMPECO_BEARER_TOKEN is accepted as an alias)
+// - AMPECO_TIMEOUT_MS (optional, per attempt, default 25000)
+// - AMPECO_ATTEMPTS   (optional, default 4)
+// - AMPECO_CONCURRENCY (optional, max requests in flight per client; endpoints pick a default)
+//
+// Every request times out per attempt and is retried on network errors, timeouts, 429 and 5xx.
+// A 429 waits for its Retry-After (seconds or HTTP date, capped), otherwise the backoff grows
+// with each attempt.
+//
+// Listings follow meta.next_cursor as well as links.next / links.next_url / next_url (relative
+// links are resolved against the base URL) and stop if a page URL repeats (cursor loop). A
+// listing can be resumed from the nextUrl it stopped at.
+
+const { createLimiter } = require("./concurrency");
+
+const DEFAULT_BASE_URL = "https://cp.ikrautas.lt";
+const MAX_RETRY_AFTER_MS = 30000;
+
+// clockAlignedInterval values (minutes) the endpoints accept; each divides an hour
+const CLOCK_ALIGNED_INTERVALS = [5, 10, 15, 30, 60];
+
+function ampecoConfigFromEnv(env = process.env) {
+  const baseUrl = String(env.AMPECO_BASE_URL || DEFAULT_BASE_URL)
+    .trim()
+    .replace(/\/$/, "");
+  const token = String(env.AMPECO_TOKEN || env.AMPECO_BEARER_TOKEN || "").trim();
+
+  const timeoutMs = Number(env.AMPECO_TIMEOUT_MS || 25000);
+  const attempts = Number(env.AMPECO_ATTEMPTS || 4);
+  const concurrency = env.AMPECO_CONCURRENCY ? Number(env.AMPECO_CONCURRENCY) : null;
+
+  return {
+    baseUrl,
+    token,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 25000,
+    attempts: Number.isInteger(attempts) && attempts > 0 ? attempts : 4,
+    concurrency: Number.isInteger(concurrency) && concurrency > 0 ? concurrency : null,
+    missing: token ? [] : ["AMPECO_TOKEN"],
+  };
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Retry-After header -> ms (null if absent/unparseable)
+function retryAfterMs(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s) * 1000;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? Math.max(0, t - now) : null;
+}
+
+function normalizeNextUrl(nextUrl, baseUrl) {
+  if (!nextUrl) return null;
+  const s = String(nextUrl).trim();
+  if (!s) return null;
+  if (s.startsWith("http://") || s.startsWith("https://")) return s;
+  if (s.startsWith("/")) return `${baseUrl}${s}`;
+  return `${baseUrl}/${s}`;
+}
+
+function nextLink(json) {
+  const links = json?.links;
+  return (
+    (links && typeof links.next === "string" && links.next) ||
+    (links && typeof links.next_url === "string" && links.next_url) ||
+    (typeof json?.next_url === "string" && json.next_url) ||
+    null
+  );
+}
+
+// concurrency: max requests in flight across everything using this client (null = no limit;
+// retry waits do not hold a slot). fetchImpl/sleepImpl are injectable for tests; by default the
+// global fetch is looked up per call.
+function createAmpecoClient({
+  baseUrl = DEFAULT_BASE_URL,
+  token,
+  timeoutMs = 25000,
+  attempts = 4,
+  concurrency = null,
+  fetchImpl = (...args) => fetch(...args),
+  sleepImpl = sleep,
+} = {}) {
+  if (!token) throw new Error("Missing env var: AMPECO_TOKEN");
+
+  const stats = { requests: 0, retries: 0 };
+  const limit = createLimiter(concurrency);
+
+  function buildUrl(path, query = {}) {
+    const url = new URL(path, baseUrl);
+    for (const [k, v] of Object.entries(query)) {
+      if (v === undefined || v === null) continue;
+      url.searchParams.set(k, String(v));
+    }
+    return url.toString();
+  }
+
+  async function getJson(url) {
+    for (let attempt = 1; ; attempt++) {
+      const last = attempt >= attempts;
+
+      let r;
+      let text;
+      try {
+        ({ r, text } = await limit(async () => {
+          const controller = new AbortController();
+          const timer = setTimeout(() => controller.abort(), timeoutMs);
+          try {
+            stats.requests++;
+            const resp = await fetchImpl(url, {
+              method: "GET",
+              headers: {
+                accept: "application/json",
+                authorization: `Bearer ${token}`,
+              },
+              signal: controller.signal,
+            });
+            return { r: resp, text: await resp.text() };
+          } finally {
+            clearTimeout(timer);
+          }
+        }));
+      } catch (e) {
+        if (last) {
+          const reason = e?.name === "AbortError" ? `timed out after ${timeoutMs} ms` : e?.message;
+          throw new Error(`AMPECO request failed: ${reason} (${url})`);
+        }
+        stats.retries++;
+        await sleepImpl(300 * attempt);
+        continue;
+      }
+
+      if (r.ok) {
+        if (!text) return null;
+        try {
+          return JSON.parse(text);
+        } catch {
+          throw new Error(`AMPECO non-JSON response: ${text.slice(0, 500)}`);
+        }
+      }
+
+      const retryable = r.status === 429 || (r.status >= 500 && r.status <= 599);
+      if (!retryable || last) {
+        const err = new Error(`AMPECO ${r.status} ${r.statusText}: ${String(text).slice(0, 500)}`);
+        err.status = r.status;
+        throw err;
+      }
+
+      const wait = r.status === 429 ? retryAfterMs(r.headers?.get?.("retry-after")) : null;
+      stats.retries++;
+      await sleepImpl(wait === null ? 300 * attempt : Math.min(wait, MAX_RETRY_AFTER_MS));
+    }
+  }
+
+  // Walks all pages of a listing -> { items, pages, loopBreaks, hitMaxPages, nextUrl }. The first
+  // page is requested with query as given (its cursor included), the next ones with next_cursor.
+  // With onPage(data, { nextUrl, meta }) the pages are handed over instead of collected (items
+  // stays empty); it may be async, and returning false from it stops early. nextUrl is the page
+  // that would come next (null at the end), so a listing can be resumed with startUrl.
+  async function paginate(path, query = {}, { maxPages = Infinity, onPage, startUrl } = {}) {
+    const items = [];
+    const seen = new Set();
+    let url = startUrl || buildUrl(path, query);
+    let pages = 0;
+    let loopBreaks = 0;
+
+    while (url) {
+      if (pages >= maxPages) return { items, pages, loopBreaks, hitMaxPages: true, nextUrl: url };
+      if (seen.has(url)) {
+        loopBreaks++;
+        url = null;
+        break;
+      }
+      seen.add(url);
+
+      const json = await getJson(url);
+      pages++;
+
+      const link = nextLink(json);
+      const cursor = json?.meta?.next_cursor ?? null;
+      const nextUrl = link
+        ? normalizeNextUrl(link, baseUrl)
+        : cursor
+          ? buildUrl(path, { ...query, cursor })
+          : null;
+
+      const data = Array.isArray(json?.data) ? json.data : [];
+      url = nextUrl;
+      if (!onPage) items.push(...data);
+      else if ((await onPage(data, { nextUrl, meta: json?.meta ?? null })) === false) break;
+    }
+
+    return { items, pages, loopBreaks, hitMaxPages: false, nextUrl: url };
+  }
+
+  const enc = (id) => encodeURIComponent(String(id));
+
+  return {
+    baseUrl,
+    stats,
+    getJson,
+    paginate,
+
+    // sessions with clock-aligned consumption, charging periods and price breakdowns
+    listSessions(
+      {
+        chargePointId,
+        startedAfter,
+        startedBefore,
+        status,
+        clockAlignedInterval = 15,
+        perPage = 100,
+      } = {},
+      opts
+    ) {
+      return paginate(
+        "/public-api/resources/sessions/v1.0",
+        {
+          withClockAlignedEnergyConsumption: "true",
+          clockAlignedInterval,
+          withAuthorization: "true",
+          withPriceBreakdown: "true",
+          withChargingPeriods: "true",
+          withChargingPeriodsPriceBreakdown: "true",
+          "filter[chargePointId]": chargePointId,
+          "filter[startedAfter]": startedAfter || null,
+          "filter[startedBefore]": startedBefore || null,
+          "filter[status]": status || null,
+          per_page: perPage,
+          // first page: cursor=null, as the sessions listing has always been requested
+          cursor: "null",
+        },
+        opts
+      );
+    },
+
+    getSessionConsumptionStats(sessionId, { clockAlignedInterval = 15 } = {}) {
+      return getJson(
+        buildUrl(`/public-api/resources/sessions/v1.0/${enc(sessionId)}/consumption-stats`, {
+          clockAlignedInterval,
+        })
+      );
+    },
+
+    listTransactions({ createdAfter, createdBefore, perPage = 100 } = {}, opts) {
+      return paginate(
+        "/public-api/resources/transactions/v1.0",
+        {
+          "filter[createdAfter]": createdAfter || null,
+          "filter[createdBefore]": createdBefore || null,
+          per_page: perPage,
+          // first page: an empty cursor, as the transactions listing has always been requested
+          cursor: "",
+        },
+        opts
+      );
+    },
+
+    getTransaction(id) {
+      return getJson(buildUrl(`/public-api/resources/transactions/v1.0/${enc(id)}`));
+    },
+
+    getUser(userId) {
+      return getJson(buildUrl(`/public-api/resources/users/v1.0/${enc(userId)}`));
+    },
+
+    getUserInvoiceDetails(userId) {
+      return getJson(buildUrl(`/public-api/resources/users/v1.0/${enc(userId)}/invoice-details`));
+    },
+  };
+}
+
+module.exports = {
+  CLOCK_ALIGNED_INTERVALS,
+  ampecoConfigFromEnv,
+  createAmpecoClient,
+};
@@ -0,0 +1,129 @@
+// lib/combined-report.js
+// Joins finalized AMPECO transactions with the charging sessions of the report stations:
+// one row per session (energy, tariff split, what was paid for it) plus one row per transaction
+// that points at no session.
+//
+// A transaction's session is its sessionId / session_id, else purchaseResourceId when
+// purchaseResourceType is "session" (from the listing row, or the transaction details when the
+// listing has neither). Flags:
+// - session_without_transaction   a finished session nobody paid for
+// - transaction_without_session   a finalized transaction in the range without a session link, by
+//                                 a user who charged at the report's stations
+// Transactions linked to sessions outside the report (other charge points, earlier periods) are
+// only counted (totals.transactionsOutsideReport).
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round3 = (n) => +n.toFixed(3);
+
+function transactionSessionId(t) {
+  const id =
+    t?.sessionId ??
+    t?.session_id ??
+    (String(t?.purchaseResourceType || "").toLowerCase() === "session"
+      ? t?.purchaseResourceId
+      : null);
+  return id == null || id === "" ? null : String(id);
+}
+
+function transactionAmount(t) {
+  const n = Number(t?.totalAmount ?? t?.amount ?? 0);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// stations: [{ station, sessions (normalized), zones }]; transactions: finalized transactions
+// (details merged in where fetched); kwhByZone(session, station) -> { zone: kWh };
+// inRange(transaction) -> whether an unlinked transaction belongs to the report (range, users).
+// -> { rows, totals }
+function combineTransactionsWithSessions({ stations, transactions, kwhByZone, inRange }) {
+  const bySession = new Map();
+  const unlinked = [];
+  for (const t of transactions) {
+    const sessionId = transactionSessionId(t);
+    if (sessionId === null) {
+      if (inRange(t)) unlinked.push(t);
+      continue;
+    }
+    if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+    bySession.get(sessionId).push(t);
+  }
+
+  const zones = [];
+  for (const s of stations) for (const z of s.zones) if (!zones.includes(z)) zones.push(z);
+
+  const rows = [];
+  const used = new Set();
+
+  for (const { station, sessions } of stations) {
+    for (const sess of sessions) {
+      const paid = bySession.get(sess.sessionId) || [];
+      used.add(sess.sessionId);
+
+      const kwh = kwhByZone(sess, station);
+      const energyKwh = round3(Object.values(kwh).reduce((acc, v) => acc + v, 0));
+      const amount = round2(paid.reduce((acc, t) => acc + transactionAmount(t), 0));
+
+      rows.push({
+        stationName: station.stationName,
+        chargePointId: station.chargePointId,
+        sessionId: sess.sessionId,
+        sessionStatus: sess.status,
+        startedAt: sess.startedAt,
+        stoppedAt: sess.stoppedAt,
+        energyKwh,
+        kwh: Object.fromEntries(zones.map((z) => [z, round3(kwh[z] || 0)])),
+        transactionIds: paid.map((t) => t.id),
+        paymentMethod:
+          [...new Set(paid.map((t) => t.paymentMethod).filter(Boolean))].join(", ") || null,
+        userId: paid[0]?.userId ?? null,
+        amount: paid.length > 0 ? amount : null,
+        currency: paid[0]?.currency ?? null,
+        pricePerKwh: paid.length > 0 && energyKwh > 0 ? round3(amount / energyKwh) : null,
+        flag: paid.length === 0 && sess.status !== "active" ? "session_without_transaction" : null,
+      });
+    }
+  }
+
+  for (const t of unlinked) {
+    rows.push({
+      stationName: null,
+      chargePointId: null,
+      sessionId: null,
+      sessionStatus: null,
+      startedAt: null,
+      stoppedAt: null,
+      energyKwh: null,
+      kwh: Object.fromEntries(zones.map((z) => [z, null])),
+      transactionIds: [t.id],
+      paymentMethod: t.paymentMethod ?? null,
+      userId: t.userId ?? null,
+      amount: round2(transactionAmount(t)),
+      currency: t.currency ?? null,
+      pricePerKwh: null,
+      flag: "transaction_without_session",
+    });
+  }
+
+  const outsideReport = [...bySession.keys()].filter((id) => !used.has(id));
+  const sessionRows = rows.filter((r) => r.sessionId !== null);
+
+  return {
+    zones,
+    rows,
+    totals: {
+      sessions: sessionRows.length,
+      transactions: transactions.length,
+      matchedSessions: sessionRows.filter((r) => r.transactionIds.length > 0).length,
+      sessionsWithoutTransaction: rows.filter((r) => r.flag === "session_without_transaction")
+        .length,
+      transactionsWithoutSession: unlinked.length,
+      transactionsOutsideReport: outsideReport.reduce(
+        (acc, id) => acc + bySession.get(id).length,
+        0
+      ),
+      energyKwh: round3(sessionRows.reduce((acc, r) => acc + r.energyKwh, 0)),
+      amount: round2(rows.reduce((acc, r) => acc + (r.amount || 0), 0)),
+    },
+  };
+}
+
+module.exports = { transactionSessionId, combineTransactionsWithSessions };
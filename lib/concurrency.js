@@ -0,0 +1,54 @@
+// lib/concurrency.js
+// Concurrency helpers: a shared limiter (at most N tasks running at once, the rest queue in
+// FIFO order) and runWithConcurrency for a fixed list of task functions.
+
+// -> run(fn): resolves/rejects with fn's result once a slot was free
+function createLimiter(limit) {
+  const max = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : Infinity;
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  }
+
+  return run;
+}
+
+// tasks: [() => Promise]; results in task order, a failed task yields null
+async function runWithConcurrency(tasks, limit) {
+  const out = [];
+  let i = 0;
+
+  const workers = Array.from({ length: limit }, async () => {
+    while (i < tasks.length) {
+      const idx = i++;
+      try {
+        out[idx] = await tasks[idx]();
+      } catch {
+        out[idx] = null;
+      }
+    }
+  });
+
+  await Promise.all(workers);
+  return out;
+}
+
+module.exports = { createLimiter, runWithConcurrency };
@@ -0,0 +1,70 @@
+// lib/flat-export.js
+// Flat file exports (CSV / JSON Lines) for n8n and accounting imports.
+//
+// CSV options:
+// - delimiter: "," (default), ";", "tab" or any single character
+// - decimal:   "." (default) or ","   (Lithuanian Excel: delimiter ";" + decimal ",")
+// - bom:       prepend a UTF-8 BOM so Excel shows Lithuanian letters correctly
+
+const BOM = "\uFEFF";
+
+const DELIMITERS = {
+  ",": ",",
+  comma: ",",
+  ";": ";",
+  semicolon: ";",
+  "\t": "\t",
+  tab: "\t",
+};
+
+// Reads ?delimiter= / ?decimal= / ?bom= (bom defaults to defaultBom).
+// A "," decimal separator switches the default delimiter to ";". Returns { ..., error }.
+function flatExportOptionsFromQuery(query, { defaultBom = false } = {}) {
+  const decimal = String(query.decimal || ".") === "," ? "," : ".";
+
+  const rawDelimiter = query.delimiter == null ? "" : String(query.delimiter);
+  const known =
+    DELIMITERS[rawDelimiter.toLowerCase()] ||
+    DELIMITERS[rawDelimiter] ||
+    (rawDelimiter.length === 1 ? rawDelimiter : null);
+  const delimiter = known || (decimal === "," ? ";" : ",");
+
+  const bomRaw = query.bom == null ? "" : String(query.bom).toLowerCase();
+  const bom = bomRaw === "" ? defaultBom : bomRaw === "1" || bomRaw === "true";
+
+  const error =
+    rawDelimiter !== "" && !known
+      ? `Invalid delimiter: ${rawDelimiter} (",", ";", "tab" or one character)`
+      : delimiter === decimal
+        ? `CSV delimiter and decimal separator cannot both be "${decimal}"`
+        : null;
+
+  return { delimiter, decimal, bom, error };
+}
+
+function csvCell(value, { delimiter, decimal }) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "number" ? String(value).replace(".", decimal) : String(value);
+  if (s.includes(delimiter) || /["\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// columns: [{ key, title }]; rows: plain objects -> string
+function toCsv(rows, columns, { delimiter = ",", decimal = ".", bom = false } = {}) {
+  const opts = { delimiter, decimal };
+  const lines = [columns.map((c) => csvCell(c.title ?? c.key, opts)).join(delimiter)];
+  for (const r of rows) {
+    lines.push(columns.map((c) => csvCell(r[c.key], opts)).join(delimiter));
+  }
+  return (bom ? BOM : "") + lines.join("\r\n") + "\r\n";
+}
+
+function toNdjson(rows, { bom = false } = {}) {
+  return (bom ? BOM : "") + rows.map((r) => JSON.stringify(r) + "\n").join("");
+}
+
+module.exports = {
+  flatExportOptionsFromQuery,
+  toCsv,
+  toNdjson,
+};
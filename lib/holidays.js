@@ -0,0 +1,101 @@
+// lib/holidays.js
+// Lithuanian public holidays (Darbo kodeksas, 123 str.). ESO bills them like weekends (Naktinis).
+//
+// Movable feasts (Easter Sunday/Monday, Mother's Day, Father's Day) are computed per year.
+// Extra dates (e.g. a one-off day off) can be added as "YYYY-MM-DD" (that day only)
+// or "MM-DD" (every year).
+
+const FIXED_HOLIDAYS = [
+  { md: "01-01", name: "Naujųjų metų diena" },
+  { md: "02-16", name: "Lietuvos valstybės atkūrimo diena" },
+  { md: "03-11", name: "Lietuvos nepriklausomybės atkūrimo diena" },
+  { md: "05-01", name: "Tarptautinė darbo diena" },
+  { md: "06-24", name: "Rasos ir Joninių diena" },
+  { md: "07-06", name: "Valstybės (Lietuvos karaliaus Mindaugo karūnavimo) diena" },
+  { md: "08-15", name: "Žolinė" },
+  { md: "11-01", name: "Visų šventųjų diena" },
+  { md: "11-02", name: "Mirusiųjų atminimo (Vėlinių) diena", since: 2020 },
+  { md: "12-24", name: "Kūčios" },
+  { md: "12-25", name: "Kalėdos" },
+  { md: "12-26", name: "Kalėdos (antroji diena)" },
+];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Western (Gregorian) Easter Sunday, anonymous Gregorian algorithm.
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+function addDays(year, month, day, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function firstSunday(year, month) {
+  const dow = new Date(Date.UTC(year, month - 1, 1)).getUTCDay(); // 0 = Sunday
+  return `${year}-${pad2(month)}-${pad2(1 + ((7 - dow) % 7))}`;
+}
+
+// [{ date: "YYYY-MM-DD", name }] sorted by date
+function lithuanianHolidays(year) {
+  const y = Number(year);
+  const out = FIXED_HOLIDAYS.filter((h) => !h.since || y >= h.since).map((h) => ({
+    date: `${y}-${h.md}`,
+    name: h.name,
+  }));
+
+  const easter = easterSunday(y);
+  out.push({ date: addDays(y, easter.month, easter.day, 0), name: "Velykos" });
+  out.push({ date: addDays(y, easter.month, easter.day, 1), name: "Antroji Velykų diena" });
+  out.push({ date: firstSunday(y, 5), name: "Motinos diena" });
+  out.push({ date: firstSunday(y, 6), name: "Tėvo diena" });
+
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function createHolidayCalendar({ extraDates = [] } = {}) {
+  const extraExact = new Set();
+  const extraYearly = new Set();
+  for (const raw of extraDates) {
+    const s = String(raw ?? "").trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) extraExact.add(s);
+    else if (/^\d{2}-\d{2}$/.test(s)) extraYearly.add(s);
+    else throw new Error(`Invalid extra holiday date: ${JSON.stringify(raw)}`);
+  }
+
+  const byYear = new Map();
+
+  // dateKey: Vilnius calendar day "YYYY-MM-DD"
+  function isHoliday(dateKey) {
+    if (extraExact.has(dateKey) || extraYearly.has(dateKey.slice(5))) return true;
+
+    const year = dateKey.slice(0, 4);
+    if (!byYear.has(year)) {
+      byYear.set(year, new Set(lithuanianHolidays(year).map((h) => h.date)));
+    }
+    return byYear.get(year).has(dateKey);
+  }
+
+  return { isHoliday };
+}
+
+module.exports = {
+  easterSunday,
+  lithuanianHolidays,
+  createHolidayCalendar,
+};
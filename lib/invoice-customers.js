@@ -0,0 +1,105 @@
+// lib/invoice-customers.js
+// Invoice mode of api/ampeco-transactions.js: the transactions of users with requireInvoice true,
+// grouped per customer, month (Europe/Vilnius, by transactionDateLt) and currency, with the
+// company fields from the user's AMPECO invoice details normalised:
+//   company: { name, code, vatCode, address }
+// AMPECO and older n8n flows name them differently (companyName / companyId /
+// companyRegistrationNumber / vatNumber / companyVat / address as text or parts); missingFields
+// lists what could not be found, so the accounting side can hold back an invoice.
+
+const COMPANY_FIELDS = ["name", "code", "vatCode", "address"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function pickText(...vals) {
+  for (const v of vals) {
+    if (typeof v === "number" && Number.isFinite(v)) return String(v);
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+// "Gedimino pr. 1, Vilnius" | { street, city, postCode, country } -> one line
+function formatAddress(a) {
+  if (a == null) return null;
+  if (typeof a !== "object") return pickText(a);
+  const parts = [
+    pickText(a.street, a.address, a.line1, a.addressLine1),
+    pickText(a.line2, a.addressLine2),
+    [pickText(a.postCode, a.postcode, a.postalCode, a.zip), pickText(a.city)]
+      .filter(Boolean)
+      .join(" "),
+    pickText(a.country),
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : null;
+}
+
+function companyFromInvoiceDetails(d) {
+  const company = d?.company && typeof d.company === "object" ? d.company : {};
+  return {
+    name: pickText(d?.companyName, company.name, d?.legalName),
+    code: pickText(
+      d?.companyCode,
+      d?.companyId,
+      d?.companyRegistrationNumber,
+      d?.registrationNumber,
+      company.code,
+      company.registrationNumber
+    ),
+    vatCode: pickText(d?.vatNumber, d?.vatCode, d?.companyVat, d?.vatId, company.vatNumber),
+    address: formatAddress(
+      d?.companyAddress ?? d?.billingAddress ?? d?.address ?? company.address ?? null
+    ),
+  };
+}
+
+// transactions: response items of api/ampeco-transactions.js (userId, userEmail, invoiceDetails,
+// transactionDateLt, totalAmount, currency, ...)
+// -> [{ userId, month, currency, company, email, missingFields, transactionCount, totalAmount,
+//       transactions: [{ transactionId, transactionDateLt, totalAmount, paymentMethod,
+//                        sessionId }] }]
+function groupInvoiceCustomers(transactions) {
+  const groups = new Map();
+
+  for (const t of transactions) {
+    const month = String(t.transactionDateLt || t.createdAtLt || "").slice(0, 7) || null;
+    const currency = t.currency ?? null;
+    const key = `${t.userId}|${month}|${currency}`;
+
+    if (!groups.has(key)) {
+      const company = companyFromInvoiceDetails(t.invoiceDetails);
+      groups.set(key, {
+        userId: t.userId ?? null,
+        month,
+        currency,
+        company,
+        email: t.userEmail ?? null,
+        missingFields: COMPANY_FIELDS.filter((f) => company[f] === null),
+        transactionCount: 0,
+        totalAmount: 0,
+        transactions: [],
+      });
+    }
+
+    const g = groups.get(key);
+    const amount = Number(t.totalAmount);
+    g.transactionCount++;
+    g.totalAmount = round2(g.totalAmount + (Number.isFinite(amount) ? amount : 0));
+    g.transactions.push({
+      transactionId: t.transactionId ?? null,
+      transactionDateLt: t.transactionDateLt ?? null,
+      totalAmount: t.totalAmount ?? null,
+      paymentMethod: t.paymentMethod ?? null,
+      sessionId: t.sessionId ?? null,
+    });
+  }
+
+  return [...groups.values()].sort(
+    (a, b) =>
+      String(a.month).localeCompare(String(b.month)) ||
+      String(a.company.name ?? "").localeCompare(String(b.company.name ?? "")) ||
+      String(a.userId).localeCompare(String(b.userId))
+  );
+}
+
+module.exports = { companyFromInvoiceDetails, groupInvoiceCustomers };
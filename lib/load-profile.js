@@ -0,0 +1,207 @@
+// lib/load-profile.js
+// Load profile of api/ampeco-sessions.js ?view=profile, for sizing the building's grid
+// connection. The stations' clock-aligned energy is put into interval buckets over the range
+// (clockAlignedInterval minutes, 15 by default), then per station and for the site:
+// - hourly[24]: average kWh per hour of day (Vilnius), i.e. the average kW in that hour
+// - weekdays[7]: average kWh per day, Mon..Sun
+// - byWeekdayHour[7][24]: average kWh per hour of each weekday
+// - peaks: the top N intervals by energy, with their average kW
+// - utilisationPct: share of the range's intervals with any energy; loadFactorPct: energy
+//   delivered against maxPowerKw for the whole range (null without maxPowerKw)
+// Site-wide the same over the stations' summed load, plus the coincident peak (the interval with
+// the highest summed load, with each station's share) and the diversity factor (the stations'
+// own peaks added up / the coincident peak).
+//
+// A slice's energy is spread over the intervals it overlaps in proportion to time, clipped to
+// the range. Sessions without clock-aligned slices use their charging periods.
+
+const { vilniusParts, weekdayVilnius, toVilniusIsoWithOffset } = require("./vilnius-time");
+const { getClockStartEnd, getClockEnergyWh, getPeriodEnergyWh } = require("./session-fields");
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const DEFAULT_TOP_PEAKS = 10;
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+const round1 = (n) => Math.round(n * 10) / 10;
+const iso = (ms) => toVilniusIsoWithOffset(new Date(ms).toISOString());
+
+function timeMs(value) {
+  const t = Date.parse(value || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+// Interval buckets covering [rangeStart, rangeEnd): [{ start, weekday (0 = Mon), hour }]
+function makeBuckets(rangeStart, rangeEnd, stepMs) {
+  const starts = [];
+  const end = rangeEnd.getTime();
+  for (let t = Math.floor(rangeStart.getTime() / stepMs) * stepMs; t < end; t += stepMs) {
+    starts.push(t);
+  }
+  return starts.map((t) => {
+    const d = new Date(t);
+    return { start: t, weekday: weekdayVilnius(d) - 1, hour: vilniusParts(d).hour };
+  });
+}
+
+// normalized session -> [{ start, end, energyWh }]
+function sessionSlices(sess) {
+  const clock = Array.isArray(sess.clockAlignedEnergyConsumption)
+    ? sess.clockAlignedEnergyConsumption
+    : [];
+  if (clock.length > 0) {
+    return clock.map((c) => {
+      const { start, end } = getClockStartEnd(c);
+      return { start: timeMs(start), end: timeMs(end), energyWh: getClockEnergyWh(c) };
+    });
+  }
+  return (Array.isArray(sess.chargingPeriods) ? sess.chargingPeriods : []).map((p) => ({
+    start: timeMs(p?.startedAt || p?.start),
+    end: timeMs(p?.stoppedAt || p?.end),
+    energyWh: getPeriodEnergyWh(p),
+  }));
+}
+
+// sessions -> kWh per bucket (Float64Array)
+function bucketEnergy(sessions, { buckets, stepMs, rangeStart, rangeEnd }) {
+  const kwh = new Float64Array(buckets.length);
+  const first = buckets.length > 0 ? buckets[0].start : 0;
+  const from = rangeStart.getTime();
+  const to = rangeEnd.getTime();
+
+  for (const sess of sessions) {
+    for (const { start, end, energyWh } of sessionSlices(sess)) {
+      if (start === null || end === null || !(end > start) || !energyWh) continue;
+      const lo = Math.max(start, from);
+      const hi = Math.min(end, to);
+      for (let i = Math.floor((lo - first) / stepMs); i < buckets.length; i++) {
+        const b = buckets[i];
+        if (b.start >= hi) break;
+        const overlap = Math.min(hi, b.start + stepMs) - Math.max(lo, b.start);
+        if (overlap > 0) kwh[i] += ((energyWh / 1000) * overlap) / (end - start);
+      }
+    }
+  }
+  return kwh;
+}
+
+// kWh per bucket -> profile figures (see the top of the file)
+function profileOf(kwh, { buckets, stepMs, top, maxPowerKw }) {
+  const bucketsPerHour = 3600000 / stepMs;
+  const zeros = (n) => Array.from({ length: n }, () => 0);
+  const hourSum = zeros(24);
+  const hourCount = zeros(24);
+  const daySum = zeros(7);
+  const dayCount = zeros(7);
+  const whSum = WEEKDAYS.map(() => zeros(24));
+  const whCount = WEEKDAYS.map(() => zeros(24));
+
+  let totalKwh = 0;
+  let withEnergy = 0;
+  buckets.forEach((b, i) => {
+    const v = kwh[i];
+    totalKwh += v;
+    if (v > 0) withEnergy++;
+    hourSum[b.hour] += v;
+    hourCount[b.hour]++;
+    daySum[b.weekday] += v;
+    dayCount[b.weekday]++;
+    whSum[b.weekday][b.hour] += v;
+    whCount[b.weekday][b.hour]++;
+  });
+
+  // sums over buckets -> average per hour (or per day: 24 hours of buckets)
+  const perHour = (sum, count) => (count > 0 ? round3(sum / (count / bucketsPerHour)) : 0);
+  const kw = (v) => round3(v * bucketsPerHour);
+
+  const peaks = Array.from(kwh.keys())
+    .filter((i) => kwh[i] > 0)
+    .sort((a, b) => kwh[b] - kwh[a] || a - b)
+    .slice(0, top)
+    .map((i) => ({
+      start: iso(buckets[i].start),
+      end: iso(buckets[i].start + stepMs),
+      kwh: round3(kwh[i]),
+      kw: kw(kwh[i]),
+    }));
+
+  const hours = buckets.length / bucketsPerHour;
+  return {
+    totalKwh: round3(totalKwh),
+    hourly: hourSum.map((s, h) => perHour(s, hourCount[h])),
+    weekdays: daySum.map((s, w) =>
+      dayCount[w] > 0 ? round3(s / (dayCount[w] / bucketsPerHour / 24)) : 0
+    ),
+    byWeekdayHour: whSum.map((row, w) => row.map((s, h) => perHour(s, whCount[w][h]))),
+    peakKw: peaks.length > 0 ? peaks[0].kw : 0,
+    peaks,
+    utilisationPct: buckets.length > 0 ? round1((withEnergy / buckets.length) * 100) : 0,
+    maxPowerKw: maxPowerKw ?? null,
+    loadFactorPct: maxPowerKw && hours > 0 ? round1((totalKwh / (maxPowerKw * hours)) * 100) : null,
+  };
+}
+
+// entries: [{ station, sessions (normalized), maxPowerKw }]
+// -> { intervalMinutes, weekdays, stations: [{ chargePointId, stationName, siteId, ...profile }],
+//      site: { ...profile, coincidentPeak, sumOfPeaksKw, diversityFactor } }
+function loadProfile({ entries, rangeStart, rangeEnd, intervalMinutes, top = DEFAULT_TOP_PEAKS }) {
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0) {
+    throw new Error(`Invalid intervalMinutes: ${intervalMinutes}`);
+  }
+  const stepMs = intervalMinutes * 60000;
+  const buckets = makeBuckets(rangeStart, rangeEnd, stepMs);
+  const ctx = { buckets, stepMs, rangeStart, rangeEnd, top };
+
+  const perStation = entries.map((e) => bucketEnergy(e.sessions, ctx));
+  const stations = entries.map((e, k) => ({
+    chargePointId: e.station.chargePointId,
+    stationName: e.station.stationName,
+    siteId: e.station.siteId,
+    ...profileOf(perStation[k], { ...ctx, maxPowerKw: e.maxPowerKw }),
+  }));
+
+  const siteKwh = new Float64Array(buckets.length);
+  for (const arr of perStation) arr.forEach((v, i) => (siteKwh[i] += v));
+
+  const withPower = entries.filter((e) => e.maxPowerKw);
+  const siteMaxKw =
+    withPower.length === entries.length && entries.length > 0
+      ? withPower.reduce((acc, e) => acc + e.maxPowerKw, 0)
+      : null;
+  const site = profileOf(siteKwh, { ...ctx, maxPowerKw: siteMaxKw });
+
+  // the first interval with the highest summed load (site.peaks[0])
+  let peakIndex = -1;
+  siteKwh.forEach((v, i) => {
+    if (v > 0 && (peakIndex === -1 || v > siteKwh[peakIndex])) peakIndex = i;
+  });
+
+  let coincidentPeak = null;
+  if (peakIndex !== -1) {
+    const bucketsPerHour = 3600000 / stepMs;
+    coincidentPeak = {
+      ...site.peaks[0],
+      stations: entries.map((e, k) => ({
+        chargePointId: e.station.chargePointId,
+        stationName: e.station.stationName,
+        kw: round3(perStation[k][peakIndex] * bucketsPerHour),
+      })),
+    };
+  }
+
+  const sumOfPeaksKw = round3(stations.reduce((acc, s) => acc + s.peakKw, 0));
+  return {
+    intervalMinutes,
+    weekdays: WEEKDAYS,
+    stations,
+    site: {
+      ...site,
+      coincidentPeak,
+      sumOfPeaksKw,
+      diversityFactor: coincidentPeak
+        ? Math.round((sumOfPeaksKw / coincidentPeak.kw) * 100) / 100
+        : null,
+    },
+  };
+}
+
+module.exports = { WEEKDAYS, DEFAULT_TOP_PEAKS, loadProfile };
@@ -0,0 +1,194 @@
+// lib/meter-readings.js
+// Meter-reading reconciliation: energy counted by a charge point's own meter between two
+// readings vs. the session energy the report attributes to the same EVSE and time span.
+//
+// Readings come from ?meterReadings=<JSON array>, in kWh:
+//   [{ "chargePointId": 326, "evseId": 3261, "start": { "kwh": 1234.5, "at": "2026-10-01" },
+//      "end": { "kwh": 1290.1, "at": "2026-11-01" } }]
+// - evseId is optional (without it the reading covers the whole charge point)
+// - "at" is optional and defaults to the report range bounds (offset-less = Vilnius local time);
+//   "start": 1234.5 is short for { "kwh": 1234.5 }
+// Where AMPECO returns meterStart / meterStop (Wh) on sessions, EVSEs without given readings are
+// reconciled from the earliest session's meterStart to the latest finished session's meterStop
+// (source "ampeco").
+//
+// Tolerance (?meterTolerance=): kWh ("0.5") or percent of the metered energy ("1%"), default 1%.
+
+const { parseVilniusLocal, toVilniusIsoWithOffset } = require("./vilnius-time");
+
+const DEFAULT_TOLERANCE = { kwh: null, percent: 1 };
+
+const round3 = (n) => +n.toFixed(3);
+
+function finiteNum(x) {
+  if (x === null || x === undefined || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "0.5" | "1%" | undefined -> { tolerance: { kwh, percent }, error }
+function parseMeterTolerance(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return { tolerance: DEFAULT_TOLERANCE, error: null };
+  }
+  const s = String(raw).trim();
+  const percent = s.endsWith("%");
+  const n = finiteNum(percent ? s.slice(0, -1) : s);
+  if (n === null || n < 0) {
+    return {
+      tolerance: null,
+      error: `Invalid meterTolerance: ${s} (kWh like 0.5 or percent like 1%)`,
+    };
+  }
+  return {
+    tolerance: percent ? { kwh: null, percent: n } : { kwh: n, percent: null },
+    error: null,
+  };
+}
+
+function parseReadingPoint(point, fallbackAt, label) {
+  const kwh = finiteNum(typeof point === "object" && point !== null ? point.kwh : point);
+  if (kwh === null) throw new Error(`${label}.kwh must be a number`);
+
+  const rawAt = typeof point === "object" && point !== null ? point.at : null;
+  if (rawAt == null || rawAt === "") return { at: fallbackAt, kwh };
+  const at = parseVilniusLocal(String(rawAt));
+  if (!at) throw new Error(`${label}.at is not a date: ${rawAt}`);
+  return { at, kwh };
+}
+
+// JSON string (?meterReadings=) -> { readings: [{ chargePointId, evseId, start, end }], error };
+// start/end: { at: Date, kwh }
+function parseMeterReadings(raw, { rangeStart, rangeEnd }) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return { readings: [], error: null };
+  }
+
+  let list;
+  try {
+    list = JSON.parse(String(raw));
+  } catch (e) {
+    return { readings: null, error: `Invalid meterReadings JSON: ${e.message}` };
+  }
+  if (!Array.isArray(list)) {
+    return { readings: null, error: "Invalid meterReadings: expected a JSON array" };
+  }
+
+  try {
+    const readings = list.map((r, i) => {
+      const label = `meterReadings[${i}]`;
+      const chargePointId = Number(r?.chargePointId);
+      if (!Number.isInteger(chargePointId) || chargePointId <= 0) {
+        throw new Error(`${label}.chargePointId must be a positive integer`);
+      }
+      const start = parseReadingPoint(r.start, rangeStart, `${label}.start`);
+      const end = parseReadingPoint(r.end, rangeEnd, `${label}.end`);
+      if (!(end.at > start.at)) throw new Error(`${label}: end must be after start`);
+      return { chargePointId, evseId: r.evseId ?? null, start, end };
+    });
+    return { readings, error: null };
+  } catch (e) {
+    return { readings: null, error: `Invalid ${e.message}` };
+  }
+}
+
+// Readings from AMPECO session meter values, one per EVSE of the station that has them
+function readingsFromSessions(sessions) {
+  const byEvse = new Map();
+  for (const s of sessions) {
+    const key = String(s.evseId ?? "");
+    if (!byEvse.has(key)) byEvse.set(key, []);
+    byEvse.get(key).push(s);
+  }
+
+  const out = [];
+  for (const list of byEvse.values()) {
+    const starts = list
+      .filter((s) => finiteNum(s.meterStart) !== null && s.startedAt)
+      .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+    const stops = list
+      .filter((s) => s.status !== "active" && finiteNum(s.meterStop) !== null && s.stoppedAt)
+      .sort((a, b) => Date.parse(a.stoppedAt) - Date.parse(b.stoppedAt));
+    if (starts.length === 0 || stops.length === 0) continue;
+
+    const first = starts[0];
+    const last = stops[stops.length - 1];
+    const start = { at: new Date(first.startedAt), kwh: finiteNum(first.meterStart) / 1000 };
+    const end = { at: new Date(last.stoppedAt), kwh: finiteNum(last.meterStop) / 1000 };
+    if (!(end.at > start.at)) continue;
+
+    out.push({ evseId: first.evseId ?? null, start, end });
+  }
+  return out;
+}
+
+// station: registry station; sessions: normalized sessions of the station; readings: parsed
+// readings (any charge point); energyKwhBetween(sessions, fromIso, toIso) -> session kWh the
+// report attributes to [from, to).
+// -> [{ evseId, source, start: { at, kwh }, end: { at, kwh }, meterKwh, sessionsKwh,
+//       differenceKwh, toleranceKwh, withinTolerance }]
+function reconcileStationMeters({ station, sessions, readings, tolerance, energyKwhBetween }) {
+  const given = readings
+    .filter((r) => r.chargePointId === station.chargePointId)
+    .map((r) => ({ ...r, source: "readings" }));
+
+  const coveredEvses = new Set(given.map((r) => String(r.evseId ?? "")));
+  const fromAmpeco = coveredEvses.has("")
+    ? []
+    : readingsFromSessions(sessions)
+        .filter((r) => !coveredEvses.has(String(r.evseId ?? "")))
+        .map((r) => ({ ...r, source: "ampeco" }));
+
+  return [...given, ...fromAmpeco].map((r) => {
+    const evseSessions =
+      r.evseId == null ? sessions : sessions.filter((s) => String(s.evseId) === String(r.evseId));
+
+    const meterKwh = round3(r.end.kwh - r.start.kwh);
+    const sessionsKwh = round3(
+      energyKwhBetween(evseSessions, r.start.at.toISOString(), r.end.at.toISOString())
+    );
+    const differenceKwh = round3(sessionsKwh - meterKwh);
+    const toleranceKwh = round3(
+      tolerance.kwh !== null ? tolerance.kwh : (Math.abs(meterKwh) * tolerance.percent) / 100
+    );
+
+    return {
+      evseId: r.evseId,
+      source: r.source,
+      start: { at: toVilniusIsoWithOffset(r.start.at.toISOString()), kwh: r.start.kwh },
+      end: { at: toVilniusIsoWithOffset(r.end.at.toISOString()), kwh: r.end.kwh },
+      meterKwh,
+      sessionsKwh,
+      differenceKwh,
+      toleranceKwh,
+      withinTolerance: meterKwh >= 0 && Math.abs(differenceKwh) <= toleranceKwh,
+    };
+  });
+}
+
+// Lines outside the tolerance as warnings (same shape as lib/session-checks.js)
+function meterWarnings(station, lines) {
+  return lines
+    .filter((l) => !l.withinTolerance)
+    .map((l) => ({
+      code: "meter_mismatch",
+      severity: "error",
+      chargePointId: station.chargePointId,
+      stationName: station.stationName,
+      sessionId: null,
+      periodId: l.evseId == null ? null : `EVSE ${l.evseId}`,
+      message:
+        l.meterKwh < 0
+          ? "Meter end reading is below the start reading"
+          : `Sessions differ from the meter by ${l.differenceKwh} kWh (tolerance ${l.toleranceKwh} kWh)`,
+      value: l.sessionsKwh,
+      expected: l.meterKwh,
+    }));
+}
+
+module.exports = {
+  parseMeterTolerance,
+  parseMeterReadings,
+  reconcileStationMeters,
+  meterWarnings,
+};
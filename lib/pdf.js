@@ -0,0 +1,249 @@
+// lib/pdf.js
+// Minimal PDF writer: A4 pages, Helvetica / Helvetica-Bold text, lines and filled boxes.
+// Built in-process, no fonts to embed.
+//
+// Lithuanian letters (ą č ę ė į š ų ū ž) are not in WinAnsiEncoding (only š/ž are), so the
+// fonts use WinAnsi + a /Differences array that maps unused code points to those glyphs.
+//
+// Coordinates are in points, origin top-left (y grows downwards).
+
+const zlib = require("zlib");
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// code -> glyph name, for the /Differences array
+const LT_GLYPHS = [
+  [0x81, "Aogonek", "Ą"],
+  [0x83, "aogonek", "ą"],
+  [0x86, "Ccaron", "Č"],
+  [0x87, "ccaron", "č"],
+  [0x88, "Eogonek", "Ę"],
+  [0x89, "eogonek", "ę"],
+  [0x8b, "Edotaccent", "Ė"],
+  [0x8c, "edotaccent", "ė"],
+  [0x8d, "Iogonek", "Į"],
+  [0x8f, "iogonek", "į"],
+  [0x90, "Uogonek", "Ų"],
+  [0x98, "uogonek", "ų"],
+  [0x9b, "Umacron", "Ū"],
+  [0x9c, "umacron", "ū"],
+];
+
+// WinAnsi characters outside Latin-1
+const WIN_ANSI_EXTRA = {
+  "€": 0x80,
+  "…": 0x85,
+  Š: 0x8a,
+  Ž: 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  š: 0x9a,
+  ž: 0x9e,
+};
+
+const CHAR_CODES = new Map([
+  ...LT_GLYPHS.map(([code, , ch]) => [ch, code]),
+  ...Object.entries(WIN_ANSI_EXTRA),
+]);
+
+// Character widths (1/1000 em) for ASCII 32..126, Helvetica and Helvetica-Bold AFM.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667,
+    611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+    667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500,
+    222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556,
+    556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667,
+    611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667,
+    667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556,
+    278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+function charWidth(ch, bold) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  // accented letters are as wide as their base letter
+  const base = ch.normalize("NFD")[0];
+  const code = base.charCodeAt(0);
+  if (code >= 32 && code <= 126) return table[code - 32];
+  if (ch === "—" || ch === "…") return 1000;
+  return 556;
+}
+
+function textWidth(str, size, bold = false) {
+  let w = 0;
+  for (const ch of String(str)) w += charWidth(ch, bold);
+  return (w * size) / 1000;
+}
+
+// JS string -> PDF literal string body (ASCII only, octal escapes for high bytes)
+function encodeText(str) {
+  let out = "";
+  for (const ch of String(str)) {
+    let code = CHAR_CODES.get(ch);
+    if (code === undefined) {
+      const c = ch.charCodeAt(0);
+      code = ch.length === 1 && (c < 0x80 || (c >= 0xa0 && c <= 0xff)) ? c : 0x3f; // "?"
+    }
+    if (code === 0x28 || code === 0x29 || code === 0x5c) out += "\\" + String.fromCharCode(code);
+    else if (code < 0x20 || code > 0x7e) out += "\\" + code.toString(8).padStart(3, "0");
+    else out += String.fromCharCode(code);
+  }
+  return out;
+}
+
+// PDF text string (document info) as UTF-16BE hex
+function infoString(str) {
+  const buf = Buffer.from(String(str), "utf16le").swap16();
+  return `<FEFF${buf.toString("hex").toUpperCase()}>`;
+}
+
+const fmt = (n) => (Math.round(n * 100) / 100).toString();
+
+function createPdfDocument({ title = "", author = "" } = {}) {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    textWidth,
+
+    // align: "left" | "right" (x is the right edge) | "center" (x is the middle)
+    text(x, y, str, { size = 10, bold = false, align = "left", gray = 0 } = {}) {
+      const s = String(str ?? "");
+      if (!s) return doc;
+      let left = x;
+      if (align === "right") left = x - textWidth(s, size, bold);
+      else if (align === "center") left = x - textWidth(s, size, bold) / 2;
+
+      ops.push(
+        `${fmt(gray)} g BT /${bold ? "F2" : "F1"} ${fmt(size)} Tf ${fmt(left)} ${fmt(
+          PAGE_HEIGHT - y
+        )} Td (${encodeText(s)}) Tj ET 0 g`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+      ops.push(
+        `${fmt(gray)} G ${fmt(width)} w ${fmt(x1)} ${fmt(PAGE_HEIGHT - y1)} m ${fmt(x2)} ${fmt(
+          PAGE_HEIGHT - y2
+        )} l S 0 G`
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, { gray = 0.9 } = {}) {
+      ops.push(`${fmt(gray)} g ${fmt(x)} ${fmt(PAGE_HEIGHT - y - h)} ${fmt(w)} ${fmt(h)} re f 0 g`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = []; // index + 1 = object number
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const differences = LT_GLYPHS.map(([code, name]) => `${code} /${name}`).join(" ");
+      const encoding = add(
+        `<< /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [${differences}] >>`
+      );
+      const f1 = add(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding ${encoding} 0 R >>`
+      );
+      const f2 = add(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding ${encoding} 0 R >>`
+      );
+
+      const pagesId = objects.length + 1;
+      objects.push(null); // placeholder for /Pages
+
+      const kids = [];
+      for (const pageOps of pages.length > 0 ? pages : [[]]) {
+        const content = zlib.deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+        const contentId = add({ stream: content, dict: `/Filter /FlateDecode` });
+        kids.push(
+          add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+              `/Resources << /Font << /F1 ${f1} 0 R /F2 ${f2} 0 R >> >> /Contents ${contentId} 0 R >>`
+          )
+        );
+      }
+
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids
+        .map((k) => `${k} 0 R`)
+        .join(" ")}] /Count ${kids.length} >>`;
+
+      const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+      const info = add(
+        `<< /Title ${infoString(title)} /Author ${infoString(author)} /Producer (ampeco-sessions) >>`
+      );
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = [];
+
+      objects.forEach((obj, i) => {
+        offsets.push(length);
+        let buf;
+        if (obj && typeof obj === "object" && obj.stream) {
+          buf = Buffer.concat([
+            Buffer.from(
+              `${i + 1} 0 obj\n<< ${obj.dict} /Length ${obj.stream.length} >>\nstream\n`,
+              "latin1"
+            ),
+            obj.stream,
+            Buffer.from("\nendstream\nendobj\n", "latin1"),
+          ]);
+        } else {
+          buf = Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1");
+        }
+        chunks.push(buf);
+        length += buf.length;
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+        "",
+      ].join("\n");
+      chunks.push(Buffer.from(xref, "latin1"));
+
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+}
+
+module.exports = { createPdfDocument, textWidth };
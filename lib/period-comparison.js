@@ -0,0 +1,29 @@
+// lib/period-comparison.js
+// "Why is my bill higher than last month?": a station's kWh per tariff zone (and gross, with
+// pricing) in one report period next to an earlier one (lib/periods.js comparisonPeriods):
+//   change = current - earlier, changePct = change / earlier * 100 (null when earlier is 0)
+//
+// Totals on both sides: { kwh: { <zone>: kWh }, totalKwh, gross (null without pricing) }
+// -> { kwh: { <zone>: { change, changePct } }, totalKwh: { change, changePct },
+//      gross: { change, changePct } | null }
+
+const round6 = (n) => +n.toFixed(6);
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function changeOf(current, earlier) {
+  const change = round6((current || 0) - (earlier || 0));
+  return { change, changePct: earlier ? round1((change / earlier) * 100) : null };
+}
+
+function compareTotals(zones, current, earlier) {
+  return {
+    kwh: Object.fromEntries(zones.map((z) => [z, changeOf(current.kwh[z], earlier.kwh[z])])),
+    totalKwh: changeOf(current.totalKwh, earlier.totalKwh),
+    gross:
+      current.gross === null || earlier.gross === null
+        ? null
+        : changeOf(current.gross, earlier.gross),
+  };
+}
+
+module.exports = { compareTotals };
@@ -0,0 +1,121 @@
+// lib/periods.js
+// Report periods: Vilnius calendar months, or billing cycles that start on a fixed day of the
+// month (start day 30 = "30th to 29th"), clipped to the requested range.
+//
+// A cycle is labelled with the month it ends in: with start day 30, "2026-09" runs from
+// 2026-08-30 00:00 to 2026-09-30 00:00 (Vilnius). A start day past the end of a short month
+// falls on its last day (February cycles with start day 30 begin/end on the 28th/29th).
+
+const { vilniusParts, vilniusLocalToDate } = require("./vilnius-time");
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// normalizes month overflow (13 -> January next year, 0 -> December previous year)
+function ym(year, month) {
+  const d = new Date(Date.UTC(year, month - 1, 1));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1 };
+}
+
+function monthKey(year, month) {
+  const n = ym(year, month);
+  return `${n.year}-${pad2(n.month)}`;
+}
+
+// Start (Date) of the cycle that begins in the given month
+function cycleStartIn(year, month, startDay) {
+  const n = ym(year, month);
+  return vilniusLocalToDate(n.year, n.month, Math.min(startDay, daysInMonth(n.year, n.month)));
+}
+
+// Full boundaries of the cycle labelled year-month: { key, start, end }
+function cycleBounds(year, month, startDay = 1) {
+  const shift = startDay > 1 ? 1 : 0;
+  return {
+    key: monthKey(year, month),
+    start: cycleStartIn(year, month - shift, startDay),
+    end: cycleStartIn(year, month + 1 - shift, startDay),
+  };
+}
+
+// "YYYY-MM" -> { year, month } or null
+function parsePeriodKey(key) {
+  const m = String(key ?? "")
+    .trim()
+    .match(/^(\d{4})-(\d{2})$/);
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  return { year: Number(m[1]), month: Number(m[2]) };
+}
+
+// Label ("YYYY-MM") of the cycle containing date
+function periodKeyAt(date, startDay = 1) {
+  const p = vilniusParts(date);
+  const year = Number(p.year);
+  const month = Number(p.month);
+  if (startDay > 1 && date >= cycleStartIn(year, month, startDay)) return monthKey(year, month + 1);
+  return monthKey(year, month);
+}
+
+// [start, end) -> [{ key, start, end, cycleStart, cycleEnd }] in order; start/end are clipped
+// to the range, cycleStart/cycleEnd are the full cycle boundaries.
+function splitRangeIntoPeriods(start, end, { cycleStartDay = 1 } = {}) {
+  const out = [];
+  if (!(start instanceof Date) || !(end instanceof Date) || !(end > start)) return out;
+
+  const [y, m] = periodKeyAt(start, cycleStartDay).split("-").map(Number);
+  for (let i = 0; ; i++) {
+    const c = cycleBounds(y, m + i, cycleStartDay);
+    if (c.start >= end) break;
+    out.push({
+      key: c.key,
+      start: c.start > start ? c.start : start,
+      end: c.end < end ? c.end : end,
+      cycleStart: c.start,
+      cycleEnd: c.end,
+    });
+  }
+  return out;
+}
+
+// Cycles a report period is compared with: the one before and the same one a year earlier
+// "2026-10" -> { previousMonth: { key: "2026-09", start, end }, previousYear: { key: "2025-10", ... } }
+// When the report period is cut short at `until` (still running, or the range ends early), the
+// earlier ones end after the same time from their start and are marked partial: true.
+function comparisonPeriods(key, startDay = 1, until = null) {
+  const { year, month } = parsePeriodKey(key);
+  const current = cycleBounds(year, month, startDay);
+  const elapsedMs =
+    until && until < current.end ? Math.max(0, until.getTime() - current.start.getTime()) : null;
+  const cut = (p) =>
+    elapsedMs === null
+      ? p
+      : {
+          ...p,
+          end: new Date(Math.min(p.end.getTime(), p.start.getTime() + elapsedMs)),
+          partial: true,
+        };
+  return {
+    previousMonth: cut(cycleBounds(year, month - 1, startDay)),
+    previousYear: cut(cycleBounds(year - 1, month, startDay)),
+  };
+}
+
+// "2026-09" for one period, "2026-07..2026-09" for several
+function periodsLabel(periods) {
+  if (periods.length === 0) return "";
+  const first = periods[0].key;
+  const last = periods[periods.length - 1].key;
+  return first === last ? first : `${first}..${last}`;
+}
+
+module.exports = {
+  cycleBounds,
+  parsePeriodKey,
+  periodKeyAt,
+  splitRangeIntoPeriods,
+  comparisonPeriods,
+  periodsLabel,
+};
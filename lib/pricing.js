@@ -0,0 +1,167 @@
+// lib/pricing.js
+// Per-zone €/kWh prices, VAT and an optional fixed monthly fee.
+//
+// Configured as "pricing" on a station, its site, or the top level of the station registry
+// (first one found wins). Either one object or a list of versions:
+// [
+//   {
+//     "effectiveFrom": "2026-01-01",          // Vilnius local date/time; latest one <= the moment wins
+//     "currency": "EUR",
+//     "vatRate": 0.21,
+//     "zonePrices": { "Dieninis": 0.21, "Naktinis": 0.13 },   // net €/kWh per tariff zone
+//     "monthlyFee": 2.5                        // net €, optional
+//   }
+// ]
+//
+// Energy is priced by the version in effect at each row's start (so a mid-month change applies
+// from that moment on). The monthly fee is charged once per billing cycle (calendar month, or the
+// site's billingCycleStartDay), pro-rated by the part of the cycle inside the report range and by
+// how long each version was in effect.
+
+const { parseVilniusLocal } = require("./vilnius-time");
+const { splitRangeIntoPeriods } = require("./periods");
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100;
+}
+
+function compilePricing(raw, label) {
+  const list = Array.isArray(raw) ? raw : [raw];
+
+  const versions = list.map((v) => {
+    const from = parseVilniusLocal(v?.effectiveFrom || "1970-01-01");
+    if (!from) throw new Error(`Invalid pricing (${label}): bad effectiveFrom ${v?.effectiveFrom}`);
+
+    const vatRate = Number(v?.vatRate ?? 0);
+    if (!Number.isFinite(vatRate) || vatRate < 0) {
+      throw new Error(`Invalid pricing (${label}): bad vatRate ${v?.vatRate}`);
+    }
+
+    const zonePrices = {};
+    for (const [zone, price] of Object.entries(v?.zonePrices || {})) {
+      const n = Number(price);
+      if (!Number.isFinite(n)) throw new Error(`Invalid pricing (${label}): bad price for ${zone}`);
+      zonePrices[zone] = n;
+    }
+
+    const monthlyFee = Number(v?.monthlyFee ?? 0);
+    if (!Number.isFinite(monthlyFee)) {
+      throw new Error(`Invalid pricing (${label}): bad monthlyFee ${v?.monthlyFee}`);
+    }
+
+    return {
+      effectiveFrom: String(v?.effectiveFrom || "1970-01-01"),
+      fromMs: from.getTime(),
+      currency: String(v?.currency || "EUR"),
+      vatRate,
+      zonePrices,
+      monthlyFee,
+    };
+  });
+
+  versions.sort((a, b) => a.fromMs - b.fromMs);
+  return { versions, currency: versions[versions.length - 1].currency };
+}
+
+function pricingForStation(registry, station) {
+  const site = (registry?.sites || []).find((s) => s.id === station?.siteId);
+  const raw = station?.pricing ?? site?.pricing ?? registry?.pricing ?? null;
+  if (!raw) return null;
+  return compilePricing(raw, station?.stationName || String(station?.chargePointId));
+}
+
+// Version in effect at ms; before the first version, the first one applies.
+function versionAt(pricing, ms) {
+  let picked = pricing.versions[0];
+  for (const v of pricing.versions) {
+    if (v.fromMs <= ms) picked = v;
+  }
+  return picked;
+}
+
+// Fee for [startMs, endMs): one monthlyFee per billing cycle (lib/periods.js), pro-rated by the
+// part of the cycle inside the range and by how long each version was in effect.
+function monthlyFeeForRange(pricing, startMs, endMs, cycleStartDay = 1) {
+  let net = 0;
+  let vat = 0;
+  if (!(endMs > startMs)) return { net, vat };
+
+  const periods = splitRangeIntoPeriods(new Date(startMs), new Date(endMs), { cycleStartDay });
+  for (const p of periods) {
+    const from = p.start.getTime();
+    const to = p.end.getTime();
+    const cycleMs = p.cycleEnd.getTime() - p.cycleStart.getTime();
+
+    // walk the versions active inside [from, to)
+    const switches = pricing.versions.map((v) => v.fromMs).filter((t) => t > from && t < to);
+    const cuts = [from, ...switches, to];
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const v = versionAt(pricing, cuts[i]);
+      const share = (cuts[i + 1] - cuts[i]) / cycleMs;
+      net += v.monthlyFee * share;
+      vat += v.monthlyFee * share * v.vatRate;
+    }
+  }
+
+  return { net, vat };
+}
+
+function moneyLine(kwh, net, vat) {
+  const n = round2(net);
+  const v = round2(vat);
+  const line = { net: n, vat: v, gross: round2(n + v) };
+  return kwh === null ? line : { kwh: +kwh.toFixed(6), ...line };
+}
+
+// rows: detail rows ({ energy_kwh, startedAt, tarifas }); zones: the tariff plan's zones;
+// rangeStart/rangeEnd: the report range (Dates) and cycleStartDay for the monthly fee.
+// Returns { currency, zones: { <zone>: { kwh, net, vat, gross } }, monthlyFee, total }.
+function computeStationCost({ pricing, zones, rows, rangeStart, rangeEnd, cycleStartDay = 1 }) {
+  const acc = Object.fromEntries(zones.map((z) => [z, { kwh: 0, net: 0, vat: 0 }]));
+
+  for (const r of rows) {
+    if (r.energy_kwh === "" || r.energy_kwh == null || !r.tarifas) continue;
+    const started = new Date(r.startedAt);
+    if (!Number.isFinite(started.getTime())) continue;
+
+    const v = versionAt(pricing, started.getTime());
+    const price = v.zonePrices[r.tarifas];
+    if (price === undefined) {
+      throw new Error(`Pricing from ${v.effectiveFrom} has no price for tariff zone ${r.tarifas}`);
+    }
+
+    if (!acc[r.tarifas]) acc[r.tarifas] = { kwh: 0, net: 0, vat: 0 };
+    const a = acc[r.tarifas];
+    const net = r.energy_kwh * price;
+    a.kwh += r.energy_kwh;
+    a.net += net;
+    a.vat += net * v.vatRate;
+  }
+
+  const zoneLines = {};
+  for (const [zone, a] of Object.entries(acc)) zoneLines[zone] = moneyLine(a.kwh, a.net, a.vat);
+
+  const fee =
+    rangeStart && rangeEnd
+      ? monthlyFeeForRange(pricing, rangeStart.getTime(), rangeEnd.getTime(), cycleStartDay)
+      : { net: 0, vat: 0 };
+  const monthlyFee = moneyLine(null, fee.net, fee.vat);
+
+  const lines = Object.values(zoneLines);
+  const kwh = lines.reduce((s, l) => s + l.kwh, 0);
+  const net = lines.reduce((s, l) => s + l.net, 0) + monthlyFee.net;
+  const vat = lines.reduce((s, l) => s + l.vat, 0) + monthlyFee.vat;
+
+  return {
+    currency: pricing.currency,
+    zones: zoneLines,
+    monthlyFee,
+    total: { kwh: +kwh.toFixed(6), net: round2(net), vat: round2(vat), gross: round2(net + vat) },
+  };
+}
+
+module.exports = {
+  compilePricing,
+  pricingForStation,
+  computeStationCost,
+};
@@ -0,0 +1,176 @@
+// lib/record-cache.js
+// Incremental sync of AMPECO records on top of lib/store.js.
+//
+// Final records are kept by id: a session once it is no longer active and stopped more than the
+// settle window (24 h) ago, a transaction once it was last updated more than that ago. Each
+// session listing chunk (station + month, see lib/periods.js) has an index with the ids of its
+// final sessions and the moment from which it still has to be re-listed:
+//   resumeFrom = earliest start of a non-final session, but at most now - look-back (7 days)
+// A chunk that ends before resumeFrom is closed and served from the store alone. The look-back
+// catches sessions AMPECO receives late (charge points that were offline) or corrects.
+// Transaction listings are cached as a whole once their range ended before the look-back and
+// every row is final.
+//
+// refresh: ignore what is stored (records are still written), i.e. ?refresh=1.
+// The cache is optional: a store that fails (KV outage, full disk, corrupt file) counts as a miss
+// or a skipped write, and in stats.storeErrors.
+
+const SETTLE_MS = 24 * 3600 * 1000;
+const LOOKBACK_MS = 7 * 24 * 3600 * 1000;
+
+function timeMs(value) {
+  const t = Date.parse(value || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+function createRecordCache({
+  store,
+  refresh = false,
+  now = new Date(),
+  settleMs = SETTLE_MS,
+  lookbackMs = LOOKBACK_MS,
+}) {
+  const settledBefore = now.getTime() - settleMs;
+  // listings from here on are re-read even when every record in them is final
+  const relistFrom = Math.min(settledBefore, now.getTime() - lookbackMs);
+  const stats = {
+    enabled: Boolean(store),
+    refresh: Boolean(refresh),
+    chunksFromCache: 0,
+    chunksPartial: 0,
+    chunksFetched: 0,
+    recordsFromCache: 0,
+    storeErrors: 0,
+  };
+
+  async function safely(op, fallback) {
+    try {
+      return await op();
+    } catch {
+      stats.storeErrors++;
+      return fallback;
+    }
+  }
+  const storeGet = (key) => safely(() => store.get(key), null);
+  const storeGetMany = (keys) =>
+    safely(() => store.getMany(keys), new Array(keys.length).fill(null));
+  const storeSet = (key, value) => safely(() => store.set(key, value));
+
+  const isFinalSession = (s) => {
+    if (String(s?.status || "") === "active") return false;
+    const stopped = timeMs(s?.stoppedAt);
+    return stopped !== null && stopped <= settledBefore;
+  };
+
+  const isFinalTransaction = (t) => {
+    const updated = timeMs(t?.lastUpdatedAt ?? t?.finalizedAt ?? t?.createdAt);
+    return updated !== null && updated <= settledBefore;
+  };
+
+  const sessionKey = (interval, id) => `session:${interval}:${id}`;
+  const chunkKey = (chargePointId, interval, chunk) =>
+    `sessions-index:${chargePointId}:${interval}:${chunk.start.toISOString()}:${chunk.end.toISOString()}`;
+
+  // -> { cached: [session], fetchFrom: Date | null } (null = nothing to re-list)
+  async function planSessionChunk({ chargePointId, clockAlignedInterval, chunk }) {
+    const full = { cached: [], fetchFrom: chunk.start };
+    if (!store || refresh) {
+      stats.chunksFetched++;
+      return full;
+    }
+
+    const index = await storeGet(chunkKey(chargePointId, clockAlignedInterval, chunk));
+    if (!Array.isArray(index?.ids)) {
+      stats.chunksFetched++;
+      return full;
+    }
+
+    const cached = await storeGetMany(index.ids.map((id) => sessionKey(clockAlignedInterval, id)));
+    if (cached.some((s) => s == null)) {
+      stats.chunksFetched++;
+      return full;
+    }
+
+    stats.recordsFromCache += cached.length;
+    const resume = index.resumeFrom ? new Date(index.resumeFrom) : null;
+    if (!resume) {
+      stats.chunksFromCache++;
+      return { cached, fetchFrom: null };
+    }
+    stats.chunksPartial++;
+    return { cached, fetchFrom: resume > chunk.start ? resume : chunk.start };
+  }
+
+  // sessions: everything known for the chunk (cached + re-listed, after enrichment)
+  async function saveSessionChunk({ chargePointId, clockAlignedInterval, chunk, sessions }) {
+    if (!store) return;
+
+    const finals = sessions.filter(isFinalSession);
+    await Promise.all(finals.map((s) => storeSet(sessionKey(clockAlignedInterval, s.id), s)));
+
+    let resumeMs = relistFrom;
+    for (const s of sessions) {
+      if (isFinalSession(s)) continue;
+      const started = timeMs(s?.startedAt);
+      if (started !== null && started < resumeMs) resumeMs = started;
+    }
+
+    await storeSet(chunkKey(chargePointId, clockAlignedInterval, chunk), {
+      ids: finals.map((s) => s.id),
+      resumeFrom: chunk.end.getTime() <= resumeMs ? null : new Date(resumeMs).toISOString(),
+      syncedAt: now.toISOString(),
+    });
+  }
+
+  const listKey = (createdAfter, createdBefore) =>
+    `transactions-list:${createdAfter}:${createdBefore}`;
+  const transactionKey = (id) => `transaction:${id}`;
+  const detailsKey = (id) => `transaction-details:${id}`;
+
+  // -> rows, or null if the listing has to be fetched
+  async function getTransactionList({ createdAfter, createdBefore }) {
+    if (!store || refresh) return null;
+    const index = await storeGet(listKey(createdAfter, createdBefore));
+    if (!Array.isArray(index?.ids)) return null;
+    const rows = await storeGetMany(index.ids.map(transactionKey));
+    if (rows.some((r) => r == null)) return null;
+    stats.recordsFromCache += rows.length;
+    return rows;
+  }
+
+  async function saveTransactionList({ createdAfter, createdBefore, rows }) {
+    if (!store) return;
+    const closed = timeMs(createdBefore) !== null && timeMs(createdBefore) <= relistFrom;
+    if (!closed || !rows.every(isFinalTransaction)) return;
+
+    await Promise.all(rows.map((t) => storeSet(transactionKey(t.id), t)));
+    await storeSet(listKey(createdAfter, createdBefore), {
+      ids: rows.map((t) => t.id),
+      syncedAt: now.toISOString(),
+    });
+  }
+
+  async function getTransactionDetails(id) {
+    if (!store || refresh) return null;
+    const details = await storeGet(detailsKey(id));
+    if (details) stats.recordsFromCache++;
+    return details;
+  }
+
+  async function saveTransactionDetails(id, details) {
+    if (!store || !details || !isFinalTransaction(details)) return;
+    await storeSet(detailsKey(id), details);
+  }
+
+  return {
+    stats,
+    planSessionChunk,
+    saveSessionChunk,
+    getTransactionList,
+    saveTransactionList,
+    getTransactionDetails,
+    saveTransactionDetails,
+  };
+}
+
+module.exports = { createRecordCache };
@@ -0,0 +1,225 @@
+// lib/session-checks.js
+// Data-quality checks on a station's sessions (normalized as in api/ampeco-sessions.js), reading
+// energy and time through lib/session-fields.js like the detail-row extraction does.
+//
+// A session's slices are its charging periods, or its clock-aligned intervals when it has no
+// periods (the same choice the detail rows make). Checks, one warning each:
+// - missing_energy           slice without a usable energy value (its detail row has no kWh)
+// - negative_energy          slice or session total below zero
+// - implausible_power        slice / session averaging more than maxKw, or energy without duration
+// - overlapping_periods      charging periods of one session overlap
+// - overlapping_sessions     sessions on the same EVSE overlap
+// - periods_clock_mismatch   charging periods and clock-aligned intervals sum to different energy
+// - session_total_mismatch   the session's total energy differs from the sum of its slices
+// Energy comparisons allow max(toleranceWh, toleranceRatio * expected); the last two skip active
+// sessions (still charging). Overlaps shorter than a minute are ignored (rounded timestamps).
+//
+// Warning: { code, severity ("error" | "warning"), chargePointId, stationName, sessionId,
+//            periodId, message, value, expected }
+
+const {
+  safeNum,
+  getClockStartEnd,
+  getClockEnergyWh,
+  getPeriodEnergyWh,
+} = require("./session-fields");
+
+const DEFAULT_MAX_KW = 50;
+const TOLERANCE_WH = 10;
+const TOLERANCE_RATIO = 0.01;
+const OVERLAP_GRACE_MS = 60 * 1000;
+
+const SEVERITY = {
+  missing_energy: "error",
+  negative_energy: "error",
+  implausible_power: "warning",
+  overlapping_periods: "warning",
+  overlapping_sessions: "warning",
+  periods_clock_mismatch: "warning",
+  session_total_mismatch: "warning",
+};
+
+function timeMs(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+function periodSlices(sess) {
+  return (Array.isArray(sess.chargingPeriods) ? sess.chargingPeriods : []).map((p) => ({
+    id: p?.id ?? null,
+    start: timeMs(p?.startedAt || p?.start),
+    end: timeMs(p?.stoppedAt || p?.end),
+    energyWh: getPeriodEnergyWh(p),
+  }));
+}
+
+function clockSlices(sess) {
+  const clock = Array.isArray(sess.clockAlignedEnergyConsumption)
+    ? sess.clockAlignedEnergyConsumption
+    : [];
+  return clock.map((c) => {
+    const { start, end } = getClockStartEnd(c);
+    return { id: null, start: timeMs(start), end: timeMs(end), energyWh: getClockEnergyWh(c) };
+  });
+}
+
+function sumWh(slices) {
+  return slices.reduce((acc, s) => acc + (s.energyWh ?? 0), 0);
+}
+
+const kwh = (wh) => +(wh / 1000).toFixed(3);
+
+function withinTolerance(actualWh, expectedWh) {
+  const allowed = Math.max(TOLERANCE_WH, TOLERANCE_RATIO * Math.abs(expectedWh));
+  return Math.abs(actualWh - expectedWh) <= allowed;
+}
+
+// station: { chargePointId, stationName }; sessions: normalized sessions of that station
+// -> [warning]
+function checkStationSessions({ station, sessions, maxKw = DEFAULT_MAX_KW, now = new Date() }) {
+  const warnings = [];
+  const warn = (code, sessionId, message, extra = {}) => {
+    warnings.push({
+      code,
+      severity: SEVERITY[code],
+      chargePointId: station.chargePointId,
+      stationName: station.stationName,
+      sessionId: sessionId || null,
+      periodId: extra.periodId ?? null,
+      message,
+      value: extra.value ?? null,
+      expected: extra.expected ?? null,
+    });
+  };
+
+  const tooFast = (wh, ms) => ms > 0 && wh / 1000 / (ms / 3600000) > maxKw;
+
+  for (const sess of sessions || []) {
+    const sessionId = String(sess.sessionId || "");
+    const active = sess.status === "active";
+    const periods = periodSlices(sess);
+    const clock = clockSlices(sess);
+    const usesPeriods = periods.length > 0;
+    const slices = usesPeriods ? periods : clock;
+    const what = usesPeriods ? "Charging period" : "Clock-aligned interval";
+
+    for (const [i, s] of slices.entries()) {
+      const label = s.id != null ? `${what} ${s.id}` : `${what} #${i + 1}`;
+      const periodId = s.id != null ? String(s.id) : `#${i + 1}`;
+
+      if (s.energyWh === null) {
+        warn("missing_energy", sessionId, `${label} has no energy value`, { periodId });
+        continue;
+      }
+      if (s.energyWh < 0) {
+        warn("negative_energy", sessionId, `${label} has negative energy`, {
+          periodId,
+          value: kwh(s.energyWh),
+        });
+        continue;
+      }
+
+      const ms = s.start !== null && s.end !== null ? s.end - s.start : null;
+      if (s.energyWh > 0 && (ms === null || ms <= 0)) {
+        warn("implausible_power", sessionId, `${label} has energy but no duration`, {
+          periodId,
+          value: kwh(s.energyWh),
+        });
+      } else if (ms !== null && tooFast(s.energyWh, ms)) {
+        warn("implausible_power", sessionId, `${label} averages more than ${maxKw} kW`, {
+          periodId,
+          value: +(s.energyWh / 1000 / (ms / 3600000)).toFixed(1),
+          expected: maxKw,
+        });
+      }
+    }
+
+    const ordered = periods
+      .filter((p) => p.start !== null && p.end !== null)
+      .sort((a, b) => a.start - b.start);
+    // against the latest end so far, so a long period overlapping several later ones flags each
+    let latest = ordered[0];
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].start < latest.end - OVERLAP_GRACE_MS) {
+        warn(
+          "overlapping_periods",
+          sessionId,
+          `Charging periods ${latest.id} and ${ordered[i].id} overlap`,
+          { periodId: ordered[i].id != null ? String(ordered[i].id) : null }
+        );
+      }
+      if (ordered[i].end > latest.end) latest = ordered[i];
+    }
+
+    const totalWh = sess.energy == null ? null : safeNum(sess.energy);
+    if (totalWh !== null && totalWh < 0) {
+      warn("negative_energy", sessionId, "Session total energy is negative", {
+        value: kwh(totalWh),
+      });
+    }
+
+    const startMs = timeMs(sess.startedAt);
+    const stopMs = timeMs(sess.stoppedAt);
+    if (
+      totalWh !== null &&
+      startMs !== null &&
+      stopMs !== null &&
+      tooFast(totalWh, stopMs - startMs)
+    ) {
+      warn("implausible_power", sessionId, `Session averages more than ${maxKw} kW`, {
+        value: +(totalWh / 1000 / ((stopMs - startMs) / 3600000)).toFixed(1),
+        expected: maxKw,
+      });
+    }
+
+    if (active) continue;
+
+    if (usesPeriods && clock.length > 0 && !withinTolerance(sumWh(clock), sumWh(periods))) {
+      warn(
+        "periods_clock_mismatch",
+        sessionId,
+        "Clock-aligned intervals and charging periods sum to different energy",
+        { value: kwh(sumWh(clock)), expected: kwh(sumWh(periods)) }
+      );
+    }
+
+    if (totalWh !== null && slices.length > 0 && !withinTolerance(sumWh(slices), totalWh)) {
+      warn(
+        "session_total_mismatch",
+        sessionId,
+        `${usesPeriods ? "Charging periods" : "Clock-aligned intervals"} do not add up to the session energy`,
+        { value: kwh(sumWh(slices)), expected: kwh(totalWh) }
+      );
+    }
+  }
+
+  // sessions on the same EVSE (the whole charge point if AMPECO gives no EVSE) must not overlap
+  const byEvse = new Map();
+  for (const sess of sessions || []) {
+    const start = timeMs(sess.startedAt);
+    if (start === null) continue;
+    const end = timeMs(sess.stoppedAt) ?? (sess.status === "active" ? now.getTime() : start);
+    const key = String(sess.evseId ?? "");
+    if (!byEvse.has(key)) byEvse.set(key, []);
+    byEvse.get(key).push({ id: String(sess.sessionId || ""), start, end });
+  }
+  for (const list of byEvse.values()) {
+    list.sort((a, b) => a.start - b.start);
+    let latest = list[0];
+    for (let i = 1; i < list.length; i++) {
+      if (list[i].start < latest.end - OVERLAP_GRACE_MS) {
+        warn(
+          "overlapping_sessions",
+          list[i].id,
+          `Session overlaps session ${latest.id} on the same connector`
+        );
+      }
+      if (list[i].end > latest.end) latest = list[i];
+    }
+  }
+
+  return warnings;
+}
+
+module.exports = { DEFAULT_MAX_KW, checkStationSessions };
@@ -0,0 +1,35 @@
+// lib/session-fields.js
+// Energy/time accessors for AMPECO session data, shared by the detail-row extraction
+// (api/ampeco-sessions.js), the data-quality checks, the live status and the load profile, so all
+// of them read the varying field names the same way.
+// - clock-aligned interval: start / startedAt / from / periodStart .. end / stoppedAt / to /
+//   periodEnd; energy (Wh) from energyConsumed, energyConsumption.total, energy or consumedEnergy
+// - charging period: energy (Wh) from energy or energyConsumed
+// safeNum: a finite number, else null (null and "" count as missing, not 0)
+
+function safeNum(x) {
+  const n = x === null || x === "" ? NaN : Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function getClockStartEnd(obj) {
+  const start = obj?.start || obj?.startedAt || obj?.from || obj?.periodStart || null;
+  const end = obj?.end || obj?.stoppedAt || obj?.to || obj?.periodEnd || null;
+  return { start, end };
+}
+
+function getClockEnergyWh(obj) {
+  return (
+    safeNum(obj?.energyConsumed) ??
+    safeNum(obj?.energyConsumption?.total) ??
+    safeNum(obj?.energy) ??
+    safeNum(obj?.consumedEnergy) ??
+    null
+  );
+}
+
+function getPeriodEnergyWh(p) {
+  return safeNum(p?.energy) ?? safeNum(p?.energyConsumed) ?? null;
+}
+
+module.exports = { safeNum, getClockStartEnd, getClockEnergyWh, getPeriodEnergyWh };
@@ -0,0 +1,194 @@
+// lib/statements.js
+// Per-station PDF statement (Lithuanian): header with station/owner/period, per-zone kWh and
+// cost table, then a daily breakdown (continues on extra pages if needed).
+//
+// statement = {
+//   siteName, stationName, chargePointId, owner, periodFrom, periodTo, month, generatedAt,
+//   zones, kwhByZone, totalKwh, rows,
+//   cost,                                  // computeStationCost() result or null
+//   daily: [{ day, byZone, totalKwh, gross }]   // gross is null without pricing
+// }
+
+const { createPdfDocument } = require("./pdf");
+
+const MARGIN = 50;
+
+function fmtKwh(n) {
+  return Number(n || 0)
+    .toFixed(3)
+    .replace(".", ",");
+}
+
+function fmtMoney(n, currency) {
+  const s = Number(n || 0)
+    .toFixed(2)
+    .replace(".", ",");
+  return currency === "EUR" ? `${s} €` : `${s} ${currency}`;
+}
+
+// "2026-09-01T00:00:00+03:00" -> "2026-09-01 00:00"
+function fmtLocal(iso) {
+  return String(iso || "")
+    .slice(0, 16)
+    .replace("T", " ");
+}
+
+// columns: [{ title, width, align }]; returns the y below the table
+function drawTable(doc, y, columns, rows, { newPage, boldLastRow = false } = {}) {
+  const rowH = 16;
+
+  const header = (yy) => {
+    doc.rect(MARGIN, yy, doc.width - 2 * MARGIN, rowH, { gray: 0.88 });
+    let x = MARGIN;
+    for (const c of columns) {
+      const tx = c.align === "right" ? x + c.width - 4 : x + 4;
+      doc.text(tx, yy + 11.5, c.title, { size: 9, bold: true, align: c.align });
+      x += c.width;
+    }
+    return yy + rowH;
+  };
+
+  y = header(y);
+
+  rows.forEach((cells, i) => {
+    if (y + rowH > doc.height - MARGIN) {
+      y = header(newPage());
+    }
+    const bold = boldLastRow && i === rows.length - 1;
+    let x = MARGIN;
+    cells.forEach((cell, k) => {
+      const c = columns[k];
+      const tx = c.align === "right" ? x + c.width - 4 : x + 4;
+      doc.text(tx, y + 11.5, cell, { size: 9, bold, align: c.align });
+      x += c.width;
+    });
+    doc.line(MARGIN, y + rowH, doc.width - MARGIN, y + rowH, { width: 0.3, gray: 0.7 });
+    y += rowH;
+  });
+
+  return y;
+}
+
+function renderStationStatement(doc, st) {
+  doc.addPage();
+  const contentWidth = doc.width - 2 * MARGIN;
+  const currency = st.cost?.currency || "EUR";
+
+  const newPage = () => {
+    doc.addPage();
+    doc.text(MARGIN, MARGIN, `${st.stationName} — ${st.month} (tęsinys)`, { size: 9, gray: 0.4 });
+    return MARGIN + 14;
+  };
+
+  let y = MARGIN;
+  doc.text(MARGIN, y + 14, "Elektromobilio įkrovimo ataskaita", { size: 18, bold: true });
+  doc.text(doc.width - MARGIN, y + 14, st.month, { size: 14, bold: true, align: "right" });
+  y += 30;
+  doc.line(MARGIN, y, doc.width - MARGIN, y, { width: 1 });
+  y += 18;
+
+  const info = [
+    ["Objektas", st.siteName],
+    ["Įkrovimo stotelė", `${st.stationName} (#${st.chargePointId})`],
+    ["Savininkas", st.owner || "—"],
+    ["Laikotarpis", `${fmtLocal(st.periodFrom)} – ${fmtLocal(st.periodTo)}`],
+    ["Sugeneruota", fmtLocal(st.generatedAt)],
+  ];
+  for (const [label, value] of info) {
+    doc.text(MARGIN, y, label, { size: 10, gray: 0.35 });
+    doc.text(MARGIN + 120, y, value, { size: 10 });
+    y += 15;
+  }
+  y += 12;
+
+  // --- per-zone summary ---
+  doc.text(MARGIN, y, "Suvestinė pagal tarifo zonas", { size: 12, bold: true });
+  y += 8;
+
+  let columns;
+  let rows;
+  if (st.cost) {
+    const w = contentWidth / 5;
+    columns = [
+      { title: "Zona", width: w },
+      { title: "kWh", width: w, align: "right" },
+      { title: "Be PVM", width: w, align: "right" },
+      { title: "PVM", width: w, align: "right" },
+      { title: "Su PVM", width: w, align: "right" },
+    ];
+    rows = st.zones.map((z) => {
+      const l = st.cost.zones[z] || { kwh: 0, net: 0, vat: 0, gross: 0 };
+      return [
+        z,
+        fmtKwh(l.kwh),
+        fmtMoney(l.net, currency),
+        fmtMoney(l.vat, currency),
+        fmtMoney(l.gross, currency),
+      ];
+    });
+    const fee = st.cost.monthlyFee;
+    if (fee.net || fee.vat) {
+      rows.push([
+        "Mėnesinis mokestis",
+        "",
+        fmtMoney(fee.net, currency),
+        fmtMoney(fee.vat, currency),
+        fmtMoney(fee.gross, currency),
+      ]);
+    }
+    const t = st.cost.total;
+    rows.push([
+      "Iš viso",
+      fmtKwh(t.kwh),
+      fmtMoney(t.net, currency),
+      fmtMoney(t.vat, currency),
+      fmtMoney(t.gross, currency),
+    ]);
+  } else {
+    columns = [
+      { title: "Zona", width: contentWidth / 2 },
+      { title: "kWh", width: contentWidth / 2, align: "right" },
+    ];
+    rows = st.zones.map((z) => [z, fmtKwh(st.kwhByZone[z])]);
+    rows.push(["Iš viso", fmtKwh(st.totalKwh)]);
+  }
+
+  y = drawTable(doc, y, columns, rows, { newPage, boldLastRow: true });
+  y += 26;
+
+  // --- daily breakdown ---
+  if (y + 60 > doc.height - MARGIN) y = newPage();
+  doc.text(MARGIN, y, "Dienos suvestinė", { size: 12, bold: true });
+  y += 8;
+
+  const dayCols = 2 + st.zones.length + (st.cost ? 1 : 0);
+  const dw = contentWidth / dayCols;
+  const dailyColumns = [
+    { title: "Data", width: dw },
+    ...st.zones.map((z) => ({ title: `${z}, kWh`, width: dw, align: "right" })),
+    { title: "Iš viso, kWh", width: dw, align: "right" },
+    ...(st.cost ? [{ title: "Su PVM", width: dw, align: "right" }] : []),
+  ];
+
+  const dailyRows = st.daily.map((d) => [
+    d.day,
+    ...st.zones.map((z) => fmtKwh(d.byZone[z])),
+    fmtKwh(d.totalKwh),
+    ...(st.cost ? [fmtMoney(d.gross, currency)] : []),
+  ]);
+
+  if (dailyRows.length === 0) {
+    doc.text(MARGIN, y + 14, "Per laikotarpį įkrovimo sesijų nebuvo.", { size: 10, gray: 0.35 });
+  } else {
+    drawTable(doc, y, dailyColumns, dailyRows, { newPage });
+  }
+}
+
+// statements: [statement] -> Buffer (one PDF, each statement starts on a new page)
+function makeStatementsPdf(statements, { title = "" } = {}) {
+  const doc = createPdfDocument({ title, author: statements[0]?.siteName || "" });
+  for (const st of statements) renderStationStatement(doc, st);
+  return doc.toBuffer();
+}
+
+module.exports = { makeStatementsPdf };
@@ -0,0 +1,192 @@
+// lib/stations.js
+// Station registry: charge points grouped into named sites.
+//
+// Source (first one set wins):
+// - AMPECO_STATIONS      inline JSON (same shape as the file)
+// - AMPECO_STATIONS_FILE path to a JSON file (absolute or relative to the project root)
+// - config/stations.json (bundled default)
+//
+// Accepted shapes:
+// - { "sites": [ { "id": "...", "name": "...", "stations": [ { "chargePointId": 326, "stationName": "..." } ] } ] }
+// - [ { "chargePointId": 326, "stationName": "...", "site": "..." } ]   (flat list, grouped by "site")
+//
+// Extra keys on sites/stations are kept as-is, so per-site settings can live next to the stations
+// (e.g. "owner", "tariffPlan", "extraHolidays", "pricing", "maxPowerKw"). A site's
+// "billingCycleStartDay" (1..31, default 1 = calendar months) is the day its billing cycles start
+// (lib/periods.js).
+// Top-level "tariffPlans" holds custom tariff plans (lib/tariffs.js), top-level "extraHolidays"
+// adds days off for every site (lib/holidays.js).
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.join(__dirname, "..");
+const DEFAULT_SITE_NAME = "Default";
+
+function slugify(s) {
+  return String(s)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function readRawConfig(env) {
+  const inline = String(env.AMPECO_STATIONS || "").trim();
+  if (inline) {
+    try {
+      return JSON.parse(inline);
+    } catch (e) {
+      throw new Error(`Invalid AMPECO_STATIONS JSON: ${e.message}`);
+    }
+  }
+
+  const file = String(env.AMPECO_STATIONS_FILE || "").trim();
+  if (file) {
+    const p = path.isAbsolute(file) ? file : path.join(PROJECT_ROOT, file);
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (e) {
+      throw new Error(`Cannot read AMPECO_STATIONS_FILE (${file}): ${e.message}`);
+    }
+  }
+
+  return require("../config/stations.json");
+}
+
+function normalizeStation(raw, site) {
+  const chargePointId = Number(raw?.chargePointId);
+  if (!Number.isInteger(chargePointId) || chargePointId <= 0) {
+    throw new Error(
+      `Invalid station config: bad chargePointId ${JSON.stringify(raw?.chargePointId)}`
+    );
+  }
+
+  const { site: _site, ...rest } = raw;
+
+  return {
+    ...rest,
+    chargePointId,
+    stationName: String(raw.stationName || `Charge point ${chargePointId}`),
+    siteId: site.id,
+    siteName: site.name,
+  };
+}
+
+function normalizeSite(raw) {
+  const name = String(raw?.name || raw?.id || "").trim();
+  if (!name) throw new Error("Invalid station config: site without id/name");
+
+  const { stations: rawStations, ...rest } = raw;
+  const site = { ...rest, id: String(raw.id || slugify(name)), name };
+
+  const startDay = Number(raw.billingCycleStartDay ?? 1);
+  if (!Number.isInteger(startDay) || startDay < 1 || startDay > 31) {
+    throw new Error(
+      `Invalid station config: bad billingCycleStartDay ${JSON.stringify(raw.billingCycleStartDay)} (${name})`
+    );
+  }
+  site.billingCycleStartDay = startDay;
+
+  site.stations = (Array.isArray(rawStations) ? rawStations : []).map((s) =>
+    normalizeStation(s, site)
+  );
+
+  return site;
+}
+
+function groupFlatStations(list) {
+  const bySite = new Map();
+  for (const s of list) {
+    const name = String(s?.site || DEFAULT_SITE_NAME);
+    if (!bySite.has(name)) bySite.set(name, { name, stations: [] });
+    bySite.get(name).stations.push(s);
+  }
+  return Array.from(bySite.values());
+}
+
+function loadStationRegistry(env = process.env) {
+  const raw = readRawConfig(env);
+
+  const rawSites = Array.isArray(raw)
+    ? groupFlatStations(raw)
+    : Array.isArray(raw?.sites)
+      ? raw.sites
+      : null;
+
+  if (!rawSites) throw new Error("Invalid station config: expected { sites: [...] } or an array");
+
+  const sites = rawSites.map(normalizeSite);
+
+  const seenSites = new Set();
+  const seenStations = new Set();
+  for (const site of sites) {
+    if (seenSites.has(site.id))
+      throw new Error(`Invalid station config: duplicate site id ${site.id}`);
+    seenSites.add(site.id);
+
+    for (const st of site.stations) {
+      if (seenStations.has(st.chargePointId)) {
+        throw new Error(`Invalid station config: duplicate chargePointId ${st.chargePointId}`);
+      }
+      seenStations.add(st.chargePointId);
+    }
+  }
+
+  const tariffPlans = Array.isArray(raw?.tariffPlans) ? raw.tariffPlans : [];
+  const extraHolidays = Array.isArray(raw?.extraHolidays) ? raw.extraHolidays : [];
+
+  return { sites, tariffPlans, extraHolidays };
+}
+
+function splitList(v) {
+  const arr = Array.isArray(v) ? v : [v];
+  return arr
+    .flatMap((x) => String(x ?? "").split(","))
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Picks sites/stations by ?site= (id or name, comma separated) and ?chargePointId= (comma separated).
+// Both filters combine (station must match both). Returns { sites, stations, error }.
+function selectStations(registry, { site, chargePointId } = {}) {
+  let sites = registry.sites;
+
+  const siteKeys = splitList(site);
+  if (siteKeys.length > 0) {
+    const picked = [];
+    for (const key of siteKeys) {
+      const k = key.toLowerCase();
+      const found = registry.sites.find(
+        (s) =>
+          s.id.toLowerCase() === k || s.name.toLowerCase() === k || slugify(s.name) === slugify(key)
+      );
+      if (!found) return { sites: [], stations: [], error: `Unknown site: ${key}` };
+      if (!picked.includes(found)) picked.push(found);
+    }
+    sites = picked;
+  }
+
+  let stations = sites.flatMap((s) => s.stations);
+
+  const cpKeys = splitList(chargePointId);
+  if (cpKeys.length > 0) {
+    const wanted = new Set(cpKeys.map(Number));
+    stations = stations.filter((st) => wanted.has(st.chargePointId));
+
+    const missing = [...wanted].filter((id) => !stations.some((st) => st.chargePointId === id));
+    if (missing.length > 0) {
+      return { sites: [], stations: [], error: `Unknown chargePointId: ${missing.join(", ")}` };
+    }
+
+    sites = sites.filter((s) => stations.some((st) => st.siteId === s.id));
+  }
+
+  return { sites, stations, error: null };
+}
+
+module.exports = {
+  loadStationRegistry,
+  selectStations,
+};
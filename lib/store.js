@@ -0,0 +1,176 @@
+// lib/store.js
+// Key/value storage for cached AMPECO records (lib/record-cache.js). Every adapter has the same
+// async interface; values are JSON-serializable:
+//   get(key) -> value | null
+//   set(key, value)
+//   getMany(keys) -> [value | null]   (same order)
+//
+// Picked by AMPECO_CACHE (unset = no cache):
+// - memory              per process, for tests
+// - file:<dir>          one JSON file per key (local use; on Vercel only /tmp is writable)
+// - sqlite:<file>       one table in a SQLite file (node:sqlite, Node 22.5+)
+// - kv                  Redis-compatible REST API (Vercel KV / Upstash): KV_REST_API_URL and
+//                       KV_REST_API_TOKEN
+// Relative paths are resolved against the project root.
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.join(__dirname, "..");
+
+function resolvePath(p) {
+  return path.isAbsolute(p) ? p : path.join(PROJECT_ROOT, p);
+}
+
+function withGetMany(store) {
+  return {
+    getMany: (keys) => Promise.all(keys.map((k) => store.get(k))),
+    ...store,
+  };
+}
+
+function createMemoryStore() {
+  const map = new Map();
+  return withGetMany({
+    kind: "memory",
+    async get(key) {
+      return map.has(key) ? JSON.parse(map.get(key)) : null;
+    },
+    async set(key, value) {
+      map.set(key, JSON.stringify(value));
+    },
+  });
+}
+
+// key -> safe file name ("_" and anything outside [A-Za-z0-9.-] are hex-escaped, so distinct
+// keys never share a file)
+function fileNameForKey(key) {
+  return (
+    String(key).replace(/[^A-Za-z0-9.-]/g, (c) => `_${c.codePointAt(0).toString(16)}_`) + ".json"
+  );
+}
+
+function createFileStore(dir) {
+  const root = resolvePath(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  return withGetMany({
+    kind: "file",
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(root, fileNameForKey(key)), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      const file = path.join(root, fileNameForKey(key));
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value));
+      await fs.promises.rename(tmp, file);
+    },
+  });
+}
+
+function createSqliteStore(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require("node:sqlite"));
+  } catch {
+    throw new Error("AMPECO_CACHE=sqlite needs Node.js with node:sqlite (22.5+)");
+  }
+
+  const db = new DatabaseSync(file === ":memory:" ? file : resolvePath(file));
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS ampeco_cache " +
+      "(key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)"
+  );
+  const select = db.prepare("SELECT value FROM ampeco_cache WHERE key = ?");
+  const upsert = db.prepare(
+    "INSERT INTO ampeco_cache (key, value, updated_at) VALUES (?, ?, ?) " +
+      "ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at"
+  );
+
+  return withGetMany({
+    kind: "sqlite",
+    async get(key) {
+      const row = select.get(String(key));
+      return row ? JSON.parse(row.value) : null;
+    },
+    async set(key, value) {
+      upsert.run(String(key), JSON.stringify(value), Date.now());
+    },
+  });
+}
+
+// Redis REST (Upstash / Vercel KV): GET /get/<key>, POST /set/<key>, POST /pipeline
+function createKvStore({ url, token, fetchImpl = (...args) => fetch(...args) }) {
+  if (!url || !token) {
+    throw new Error("AMPECO_CACHE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN");
+  }
+  const base = String(url).replace(/\/$/, "");
+
+  async function call(pathname, init = {}) {
+    const r = await fetchImpl(`${base}${pathname}`, {
+      ...init,
+      headers: { authorization: `Bearer ${token}`, ...(init.headers || {}) },
+    });
+    const text = await r.text();
+    if (!r.ok) throw new Error(`KV ${r.status} ${r.statusText}: ${text.slice(0, 300)}`);
+    return JSON.parse(text);
+  }
+
+  const parse = (result) => (result == null ? null : JSON.parse(result));
+
+  return {
+    kind: "kv",
+    async get(key) {
+      const { result } = await call(`/get/${encodeURIComponent(key)}`);
+      return parse(result);
+    },
+    async set(key, value) {
+      await call(`/set/${encodeURIComponent(key)}`, {
+        method: "POST",
+        body: JSON.stringify(value),
+      });
+    },
+    async getMany(keys) {
+      if (keys.length === 0) return [];
+      const out = await call("/pipeline", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(keys.map((k) => ["GET", k])),
+      });
+      return out.map((x) => parse(x?.result));
+    },
+  };
+}
+
+function createStore(spec, env) {
+  if (spec === "memory") return createMemoryStore();
+  if (spec === "kv")
+    return createKvStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN });
+  if (spec.startsWith("file:")) return createFileStore(spec.slice(5));
+  if (spec.startsWith("sqlite:")) return createSqliteStore(spec.slice(7));
+  throw new Error(`Invalid AMPECO_CACHE: ${spec} (memory, file:<dir>, sqlite:<file> or kv)`);
+}
+
+// One store per AMPECO_CACHE value for the life of the process (warm serverless instances
+// reuse it). null when caching is off.
+const stores = new Map();
+
+function storeFromEnv(env = process.env) {
+  const spec = String(env.AMPECO_CACHE || "").trim();
+  if (!spec) return null;
+  if (!stores.has(spec)) stores.set(spec, createStore(spec, env));
+  return stores.get(spec);
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createSqliteStore,
+  createKvStore,
+  storeFromEnv,
+};
@@ -0,0 +1,45 @@
+// lib/sweep-cursor.js
+// Resume token of a streamed transaction sweep (api/ampeco-transactions.js ?format=ndjson&cursor=):
+// base64url JSON with the range and the AMPECO listing page to continue from. Only the path and
+// query of that page are kept; it is resolved against the configured AMPECO base URL again, so a
+// token cannot point the endpoint (and its bearer token) at another host.
+
+const TRANSACTIONS_PATH = "/public-api/resources/transactions/v1.0";
+
+// { createdAfter, createdBefore, nextUrl (absolute | null = from the start) } -> token
+function encodeSweepCursor({ createdAfter, createdBefore, nextUrl }) {
+  let page = null;
+  if (nextUrl) {
+    const u = new URL(nextUrl);
+    page = u.pathname + u.search;
+  }
+  const json = JSON.stringify({ v: 1, a: createdAfter, b: createdBefore, p: page });
+  return Buffer.from(json, "utf8").toString("base64url");
+}
+
+// token | undefined -> { cursor: { createdAfter, createdBefore, page } | null, error }
+function decodeSweepCursor(token) {
+  if (token === undefined || token === null || String(token).trim() === "") {
+    return { cursor: null, error: null };
+  }
+
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(token).trim(), "base64url").toString("utf8"));
+  } catch {
+    return { cursor: null, error: "Invalid cursor" };
+  }
+
+  const validDate = (s) => typeof s === "string" && Number.isFinite(Date.parse(s));
+  const validPage =
+    c?.p === null ||
+    (typeof c?.p === "string" &&
+      (c.p === TRANSACTIONS_PATH || c.p.startsWith(`${TRANSACTIONS_PATH}?`)));
+  if (c?.v !== 1 || !validDate(c.a) || !validDate(c.b) || !validPage) {
+    return { cursor: null, error: "Invalid cursor" };
+  }
+
+  return { cursor: { createdAfter: c.a, createdBefore: c.b, page: c.p }, error: null };
+}
+
+module.exports = { encodeSweepCursor, decodeSweepCursor };
@@ -0,0 +1,314 @@
+// lib/tariffs.js
+// Declarative tariff plans: which zone ("Dieninis", "Naktinis", ...) applies at a given moment.
+//
+// A plan:
+// {
+//   "id": "three-zone",
+//   "name": "Trijų laiko zonų",
+//   "zones": ["Piko", "Dieninis", "Naktinis"],          // optional, derived from the rules if omitted
+//   "schedules": [
+//     {
+//       "effectiveFrom": "2026-01-01",                    // Vilnius date; latest one <= the moment wins
+//       "defaultZone": "Naktinis",                        // when no rule/window matches
+//       "rules": [                                        // first rule matching day (+ season) wins
+//         { "days": ["weekend"], "zone": "Naktinis" },
+//         {
+//           "days": ["weekdays"],
+//           "season": "winter",                           // "summer" (GMT+3) | "winter" (GMT+2) | omitted = both
+//           "windows": [                                  // local time, "to" is exclusive, "24:00" allowed
+//             { "from": "08:00", "to": "11:00", "zone": "Piko" },
+//             { "from": "07:00", "to": "23:00", "zone": "Dieninis" }
+//           ]
+//         }
+//       ]
+//     }
+//   ]
+// }
+//
+// days: 1..7 (Mon..Sun), "mon".."sun", "weekdays", "weekend", "holiday" (Lithuanian public
+// holidays, lib/holidays.js; extra dates via "extraHolidays" at the top level of the station
+// registry config or on a site).
+// Windows are checked in order, so put narrower windows first. A rule without matching window
+// falls back to its own "zone", then to the schedule's defaultZone.
+//
+// Plans are picked per station ("tariffPlan" on the station, else on its site, else DEFAULT_TARIFF_PLAN_ID).
+// Custom plans go into the station registry config as a top-level "tariffPlans" array.
+
+const {
+  vilniusParts,
+  weekdayVilnius,
+  isSummerTimeVilnius,
+  vilniusDateKey,
+} = require("./vilnius-time");
+const { createHolidayCalendar } = require("./holidays");
+
+const DEFAULT_TARIFF_PLAN_ID = "eso-two-zone";
+const DEFAULT_HOLIDAYS = createHolidayCalendar();
+
+const BUILTIN_TARIFF_PLANS = [
+  {
+    id: "eso-two-zone",
+    name: "ESO dviejų laiko zonų",
+    zones: ["Dieninis", "Naktinis"],
+    schedules: [
+      {
+        effectiveFrom: "2000-01-01",
+        defaultZone: "Naktinis",
+        rules: [
+          { days: ["weekend", "holiday"], zone: "Naktinis" },
+          {
+            days: ["weekdays"],
+            season: "winter",
+            windows: [{ from: "07:00", to: "23:00", zone: "Dieninis" }],
+          },
+          {
+            days: ["weekdays"],
+            season: "summer",
+            windows: [{ from: "08:00", to: "24:00", zone: "Dieninis" }],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: "single-zone",
+    name: "Vienos laiko zonos",
+    zones: ["Visa para"],
+    schedules: [{ effectiveFrom: "2000-01-01", defaultZone: "Visa para", rules: [] }],
+  },
+];
+
+const DAY_ALIASES = {
+  mon: [1],
+  tue: [2],
+  wed: [3],
+  thu: [4],
+  fri: [5],
+  sat: [6],
+  sun: [7],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [6, 7],
+  holiday: ["holiday"],
+};
+
+function parseHHMM(s, planId) {
+  const m = String(s ?? "").match(/^(\d{1,2}):([0-5]\d)$/);
+  const minutes = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  if (!Number.isFinite(minutes) || minutes > 1440) {
+    throw new Error(`Invalid tariff plan ${planId}: bad time ${JSON.stringify(s)}`);
+  }
+  return minutes;
+}
+
+function compileDays(days, planId) {
+  const list = Array.isArray(days) ? days : [days];
+  const out = new Set();
+  for (const d of list) {
+    if (typeof d === "number" && d >= 1 && d <= 7) {
+      out.add(d);
+      continue;
+    }
+    const alias = DAY_ALIASES[String(d).toLowerCase()];
+    if (!alias) throw new Error(`Invalid tariff plan ${planId}: bad day ${JSON.stringify(d)}`);
+    alias.forEach((x) => out.add(x));
+  }
+  return out;
+}
+
+function compileTariffPlan(def) {
+  const id = String(def?.id || "").trim();
+  if (!id) throw new Error("Invalid tariff plan: missing id");
+
+  const schedulesRaw = Array.isArray(def.schedules) ? def.schedules : [];
+  if (schedulesRaw.length === 0) throw new Error(`Invalid tariff plan ${id}: no schedules`);
+
+  const seenZones = [];
+  const useZone = (z) => {
+    const name = String(z ?? "").trim();
+    if (!name) throw new Error(`Invalid tariff plan ${id}: empty zone name`);
+    if (!seenZones.includes(name)) seenZones.push(name);
+    return name;
+  };
+
+  const schedules = schedulesRaw
+    .map((s) => {
+      const effectiveFrom = String(s?.effectiveFrom || "0000-01-01");
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+        throw new Error(`Invalid tariff plan ${id}: bad effectiveFrom ${effectiveFrom}`);
+      }
+
+      const rules = (Array.isArray(s.rules) ? s.rules : []).map((r) => {
+        if (r.season && r.season !== "summer" && r.season !== "winter") {
+          throw new Error(`Invalid tariff plan ${id}: bad season ${r.season}`);
+        }
+        return {
+          days: compileDays(r.days ?? ["weekdays", "weekend"], id),
+          season: r.season || null,
+          zone: r.zone != null ? useZone(r.zone) : null,
+          windows: (Array.isArray(r.windows) ? r.windows : []).map((w) => ({
+            from: parseHHMM(w.from, id),
+            to: parseHHMM(w.to, id),
+            zone: useZone(w.zone),
+          })),
+        };
+      });
+
+      if (s.defaultZone == null) throw new Error(`Invalid tariff plan ${id}: missing defaultZone`);
+
+      return { effectiveFrom, defaultZone: useZone(s.defaultZone), rules };
+    })
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  let zones = seenZones;
+  if (Array.isArray(def.zones) && def.zones.length > 0) {
+    zones = def.zones.map(String);
+    const unknown = seenZones.filter((z) => !zones.includes(z));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid tariff plan ${id}: zones not listed in "zones": ${unknown.join(", ")}`
+      );
+    }
+  }
+
+  // Zone switches can only happen on multiples of this (midnight and DST jumps are whole hours).
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  let stepMinutes = 60;
+  for (const sch of schedules) {
+    for (const r of sch.rules) {
+      for (const w of r.windows) stepMinutes = gcd(gcd(stepMinutes, w.from), w.to);
+    }
+  }
+
+  return {
+    id,
+    name: String(def.name || id),
+    zones,
+    schedules,
+    stepMinutes,
+    holidays: DEFAULT_HOLIDAYS,
+  };
+}
+
+// def -> Map(extraHolidays key -> compiled plan)
+const compiledCache = new WeakMap();
+
+function compileCached(def, extraHolidays) {
+  if (!compiledCache.has(def)) compiledCache.set(def, new Map());
+  const byExtras = compiledCache.get(def);
+
+  const key = extraHolidays.join(",");
+  if (!byExtras.has(key)) {
+    const plan = compileTariffPlan(def);
+    if (extraHolidays.length > 0) {
+      plan.holidays = createHolidayCalendar({ extraDates: extraHolidays });
+    }
+    byExtras.set(key, plan);
+  }
+  return byExtras.get(key);
+}
+
+// registry: result of loadStationRegistry() (custom plans in registry.tariffPlans override built-ins)
+function getTariffPlan(registry, planId, { extraHolidays = [] } = {}) {
+  const id = String(planId || DEFAULT_TARIFF_PLAN_ID);
+  const custom = (registry?.tariffPlans || []).find((p) => String(p?.id) === id);
+  const def = custom || BUILTIN_TARIFF_PLANS.find((p) => p.id === id);
+  if (!def) throw new Error(`Unknown tariff plan: ${id}`);
+  return compileCached(def, extraHolidays);
+}
+
+function tariffPlanForStation(registry, station) {
+  const site = (registry?.sites || []).find((s) => s.id === station?.siteId);
+  const extraHolidays = [
+    ...(Array.isArray(registry?.extraHolidays) ? registry.extraHolidays : []),
+    ...(Array.isArray(site?.extraHolidays) ? site.extraHolidays : []),
+  ].map(String);
+
+  return getTariffPlan(registry, station?.tariffPlan || site?.tariffPlan, { extraHolidays });
+}
+
+function scheduleAt(plan, dateKey) {
+  let picked = plan.schedules[0];
+  for (const s of plan.schedules) {
+    if (s.effectiveFrom <= dateKey) picked = s;
+  }
+  return picked;
+}
+
+// Zone name in effect at the given moment ("" for a missing/invalid date).
+function tariffZoneAt(plan, value) {
+  if (!value) return "";
+  const d = value instanceof Date ? value : new Date(value);
+  if (!Number.isFinite(d.getTime())) return "";
+
+  const dateKey = vilniusDateKey(d);
+  const schedule = scheduleAt(plan, dateKey);
+  const wd = weekdayVilnius(d);
+  const holiday = plan.holidays.isHoliday(dateKey);
+  const summer = isSummerTimeVilnius(d);
+
+  for (const rule of schedule.rules) {
+    if (!rule.days.has(wd) && !(holiday && rule.days.has("holiday"))) continue;
+    if (rule.season === "summer" && !summer) continue;
+    if (rule.season === "winter" && summer) continue;
+
+    if (rule.windows.length > 0) {
+      const p = vilniusParts(d);
+      const t = p.hour * 60 + p.minute;
+      const w = rule.windows.find((x) => t >= x.from && t < x.to);
+      if (w) return w.zone;
+    }
+
+    return rule.zone || schedule.defaultZone;
+  }
+
+  return schedule.defaultZone;
+}
+
+// Splits [start, end) at every zone switch and Vilnius midnight, clipped to [clipStart, clipEnd).
+// Returns [{ start, end, zone, fraction }] where fraction is the piece's share of the whole
+// (unclipped) interval, for pro-rata energy allocation.
+function splitIntervalByTariff(plan, start, end, { clipStart = null, clipEnd = null } = {}) {
+  const fullMs = end.getTime() - start.getTime();
+  if (!(fullMs > 0)) return [];
+
+  const from = Math.max(start.getTime(), clipStart ? clipStart.getTime() : -Infinity);
+  const to = Math.min(end.getTime(), clipEnd ? clipEnd.getTime() : Infinity);
+  if (!(to > from)) return [];
+
+  const stepMs = plan.stepMinutes * 60000;
+  const pieces = [];
+
+  let pieceStart = from;
+  let zone = tariffZoneAt(plan, new Date(from));
+  let day = vilniusDateKey(new Date(from));
+
+  for (let t = Math.floor(from / stepMs) * stepMs + stepMs; t < to; t += stepMs) {
+    const d = new Date(t);
+    const z = tariffZoneAt(plan, d);
+    const dk = vilniusDateKey(d);
+    if (z === zone && dk === day) continue;
+
+    pieces.push({ start: pieceStart, end: t, zone });
+    pieceStart = t;
+    zone = z;
+    day = dk;
+  }
+  pieces.push({ start: pieceStart, end: to, zone });
+
+  return pieces.map((p) => ({
+    start: new Date(p.start),
+    end: new Date(p.end),
+    zone: p.zone,
+    fraction: (p.end - p.start) / fullMs,
+  }));
+}
+
+module.exports = {
+  DEFAULT_TARIFF_PLAN_ID,
+  BUILTIN_TARIFF_PLANS,
+  compileTariffPlan,
+  getTariffPlan,
+  tariffPlanForStation,
+  tariffZoneAt,
+  splitIntervalByTariff,
+};
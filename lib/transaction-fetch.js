@@ -0,0 +1,130 @@
+// lib/transaction-fetch.js
+// Transaction listing and detail lookups shared by api/ampeco-transactions.js and the combined
+// view of api/ampeco-sessions.js, so both list, cap and cache them the same way.
+//
+// listTransactions: a closed range of settled transactions comes from the store
+// (lib/record-cache.js), anything else is listed in time windows (lib/transaction-windows.js)
+// and stored once the listing is complete and within maxItems.
+// -> { rows, debug } (debug.fromCache, the windows listed, complete, hitMaxPages, hitMaxItems)
+//
+// createDetailsLookup: transaction details by id, from the store or AMPECO, at most maxDetails
+// per request over all calls (the first ones asked for); the ids past that are left out and
+// counted in stats.skipped / skippedIds.
+// lookup(ids) -> Map id -> details | null (null: AMPECO failed, counted in stats.errors)
+
+const { createLimiter } = require("./concurrency");
+const { DEFAULT_PAGE_BUDGET, fetchTransactionsWindowed } = require("./transaction-windows");
+
+async function listTransactions({
+  ampeco,
+  cache,
+  createdAfter,
+  createdBefore,
+  perPage = 100,
+  pageBudget = DEFAULT_PAGE_BUDGET,
+  windowMs = null,
+  maxPages = Infinity,
+  maxItems = Infinity,
+  concurrency = 4,
+}) {
+  const debug = {
+    pagesFetchedTotal: 0,
+    windowPageBudget: pageBudget,
+    windows: [],
+    windowsSplit: 0,
+    windowsRetried: 0,
+    windowsIncomplete: 0,
+    complete: true,
+    hitMaxPages: false,
+    hitMaxItems: false,
+    loopBreaks: 0,
+    fromCache: false,
+  };
+
+  const cachedRows = await cache.getTransactionList({ createdAfter, createdBefore });
+  if (cachedRows) {
+    debug.fromCache = true;
+    return { rows: cachedRows.slice(0, maxItems), debug };
+  }
+
+  const listing = await fetchTransactionsWindowed({
+    ampeco,
+    createdAfter,
+    createdBefore,
+    perPage,
+    pageBudget,
+    windowMs,
+    maxPages,
+    concurrency,
+  });
+  let rows = listing.rows;
+
+  const countStatus = (status) => listing.windows.filter((w) => w.status === status).length;
+  debug.pagesFetchedTotal = listing.pages;
+  debug.windows = listing.windows;
+  debug.windowsSplit = countStatus("split");
+  debug.windowsRetried = countStatus("retry");
+  debug.windowsIncomplete = countStatus("incomplete");
+  debug.complete = listing.complete;
+  debug.hitMaxPages = listing.hitMaxPages;
+  debug.loopBreaks = listing.loopBreaks;
+
+  if (rows.length > maxItems) {
+    rows = rows.slice(0, maxItems);
+    debug.hitMaxItems = true;
+  }
+
+  // only complete listings are stored
+  if (debug.complete && !debug.hitMaxItems) {
+    await cache.saveTransactionList({ createdAfter, createdBefore, rows });
+  }
+  return { rows, debug };
+}
+
+function createDetailsLookup({ ampeco, cache, maxDetails = Infinity, concurrency = 4 }) {
+  const stats = { maxDetails, requested: 0, fromCache: 0, errors: 0, skipped: 0, skippedIds: [] };
+  const limit = createLimiter(concurrency);
+  const known = new Map(); // id -> Promise<details | null>
+
+  function fetchDetails(id) {
+    return limit(async () => {
+      const cached = await cache.getTransactionDetails(id);
+      if (cached) {
+        stats.fromCache++;
+        return cached;
+      }
+      try {
+        stats.requested++;
+        const details = await ampeco.getTransaction(id);
+        await cache.saveTransactionDetails(id, details);
+        return details;
+      } catch {
+        stats.errors++;
+        return null;
+      }
+    });
+  }
+
+  async function lookup(ids) {
+    const wanted = [];
+    for (const raw of ids) {
+      const id = String(raw);
+      if (!known.has(id)) {
+        if (known.size >= maxDetails) {
+          stats.skipped++;
+          stats.skippedIds.push(raw);
+          continue;
+        }
+        known.set(id, fetchDetails(id));
+      }
+      wanted.push(id);
+    }
+    const details = await Promise.all(wanted.map((id) => known.get(id)));
+    return new Map(wanted.map((id, i) => [id, details[i]]));
+  }
+
+  lookup.stats = stats;
+  return lookup;
+}
+
+module.exports = { listTransactions, createDetailsLookup };
@@ -0,0 +1,237 @@
+// lib/transaction-filter.js
+// Declarative transaction filter for api/ampeco-transactions.js: a list of rules that must all
+// pass, each counted separately in debug.filterDropReasons (a transaction is dropped by the first
+// rule it fails).
+//
+// ?filter=<JSON> takes a spec, ?preset=<name> a named one (default "default"):
+//   [{ "name": "totalZero", "field": "totalAmount", "op": "ne", "value": 0 },
+//    { "name": "notCard", "any": [{ "field": "paymentMethod", "op": "regex", "value": "\\*{4}" },
+//                                 { "field": "paymentMethod", "op": "eq", "value": "Balance" }] }]
+// Rule:
+// - { field, op, value }  field is a dotted path ("invoiceDetails.requireInvoice") or a list of
+//   paths (first one that is set); ops:
+//     eq, ne, in, nin   numbers compare as numbers, anything else strictly (strings as strings)
+//     gt, gte, lt, lte  numeric for a number value, otherwise dates ("2026-09-15T00:00:00Z")
+//     regex             value is a pattern, optional "flags"
+//     exists, missing   field set / not set (null counts as not set)
+// - { all: [rules] } / { any: [rules] } / { not: rule }
+// - name: the drop reason (default rule1, rule2, ... by position)
+// Rules on invoiceDetails.* run after the users' invoice details are fetched; the others filter
+// the listing first, so only their users are looked up.
+
+const PAYMENT_CARD_REGEX = String.raw`.*\*{4}\s*\d{4}\b`;
+
+const ok = (n) => Number.isFinite(n);
+
+// name -> ({ paymentRegex }) -> spec
+const TRANSACTION_FILTER_PRESETS = {
+  // the original fixed pipeline: paid card transactions of users who need no invoice
+  default: ({ paymentRegex }) => [
+    { name: "totalZero", field: ["totalAmount", "amount"], op: "ne", value: 0 },
+    { name: "statusNotFinal", field: "status", op: "eq", value: "finalized" },
+    { name: "payNoMatch", field: "paymentMethod", op: "regex", value: paymentRegex },
+    { name: "missingUserId", field: "userId", op: "exists" },
+    { name: "invoiceRequired", field: "invoiceDetails.requireInvoice", op: "eq", value: false },
+  ],
+  // any paid transaction of users who asked for invoices
+  "invoice-required": () => [
+    { name: "totalZero", field: ["totalAmount", "amount"], op: "ne", value: 0 },
+    { name: "statusNotFinal", field: "status", op: "eq", value: "finalized" },
+    { name: "missingUserId", field: "userId", op: "exists" },
+    { name: "invoiceNotRequired", field: "invoiceDetails.requireInvoice", op: "eq", value: true },
+  ],
+  refunds: () => [
+    { name: "notRefund", field: ["totalAmount", "amount"], op: "lt", value: 0 },
+    { name: "statusNotFinal", field: "status", op: "eq", value: "finalized" },
+    { name: "missingUserId", field: "userId", op: "exists" },
+  ],
+  "all-finalized": () => [
+    { name: "totalZero", field: ["totalAmount", "amount"], op: "ne", value: 0 },
+    { name: "statusNotFinal", field: "status", op: "eq", value: "finalized" },
+  ],
+};
+
+function getPath(obj, path) {
+  let v = obj;
+  for (const part of path.split(".")) {
+    if (v == null) return undefined;
+    v = v[part];
+  }
+  return v;
+}
+
+function fieldValue(t, field) {
+  for (const path of Array.isArray(field) ? field : [field]) {
+    const v = getPath(t, path);
+    if (v != null) return v;
+  }
+  return null;
+}
+
+function same(actual, expected) {
+  if (typeof expected === "number") return actual !== "" && Number(actual) === expected;
+  if (typeof expected === "string") return actual != null && String(actual) === expected;
+  return actual === expected;
+}
+
+// -> (t) => boolean; throws on an invalid rule
+function compileCondition(rule, label) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    throw new Error(`${label} must be an object`);
+  }
+
+  for (const key of ["all", "any"]) {
+    if (rule[key] === undefined) continue;
+    if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+      throw new Error(`${label}.${key} must be a non-empty array`);
+    }
+    const parts = rule[key].map((r, i) => compileCondition(r, `${label}.${key}[${i}]`));
+    return key === "all" ? (t) => parts.every((p) => p(t)) : (t) => parts.some((p) => p(t));
+  }
+  if (rule.not !== undefined) {
+    const inner = compileCondition(rule.not, `${label}.not`);
+    return (t) => !inner(t);
+  }
+
+  const { field, op, value } = rule;
+  const paths = Array.isArray(field) ? field : [field];
+  if (paths.length === 0 || !paths.every((p) => typeof p === "string" && p)) {
+    throw new Error(`${label}.field must be a path or a list of paths`);
+  }
+  const get = (t) => fieldValue(t, field);
+
+  switch (op) {
+    case "eq":
+    case "ne": {
+      const eq = op === "eq";
+      // a number field that is not a number fails both ways (as the original totalZero check)
+      if (typeof value === "number") {
+        return (t) => {
+          const n = Number(get(t));
+          return ok(n) && (n === value) === eq;
+        };
+      }
+      return (t) => same(get(t), value) === eq;
+    }
+    case "in":
+    case "nin": {
+      if (!Array.isArray(value)) throw new Error(`${label}.value must be an array for ${op}`);
+      const isIn = op === "in";
+      return (t) => {
+        const v = get(t);
+        return value.some((x) => same(v, x)) === isIn;
+      };
+    }
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte": {
+      const numeric = typeof value === "number";
+      const bound = numeric ? value : Date.parse(String(value ?? ""));
+      if (!ok(bound)) throw new Error(`${label}.value must be a number or a date for ${op}`);
+      const cmp = {
+        gt: (a) => a > bound,
+        gte: (a) => a >= bound,
+        lt: (a) => a < bound,
+        lte: (a) => a <= bound,
+      }[op];
+      return (t) => {
+        const v = get(t);
+        if (v == null || v === "") return false;
+        const a = numeric ? Number(v) : Date.parse(String(v));
+        return ok(a) && cmp(a);
+      };
+    }
+    case "regex": {
+      let re;
+      try {
+        re = new RegExp(String(value ?? ""), rule.flags || "");
+      } catch (e) {
+        throw new Error(`${label}.value is not a valid regex: ${e.message}`);
+      }
+      return (t) => re.test(String(get(t) ?? ""));
+    }
+    case "exists":
+      return (t) => get(t) != null;
+    case "missing":
+      return (t) => get(t) == null;
+    default:
+      throw new Error(
+        `${label}.op must be one of eq, ne, in, nin, gt, gte, lt, lte, regex, exists, missing`
+      );
+  }
+}
+
+function ruleFields(rule) {
+  if (!rule || typeof rule !== "object") return [];
+  const nested = [...(rule.all || []), ...(rule.any || []), ...(rule.not ? [rule.not] : [])];
+  const own = rule.field == null ? [] : Array.isArray(rule.field) ? rule.field : [rule.field];
+  return [...own.map(String), ...nested.flatMap(ruleFields)];
+}
+
+// spec -> [{ name, stage ("transaction" | "user"), test }]; throws on an invalid spec
+function compileTransactionFilter(spec) {
+  const list = Array.isArray(spec) ? spec : [spec];
+  if (list.length === 0) throw new Error("filter must have at least one rule");
+
+  const names = new Set();
+  return list.map((rule, i) => {
+    const name = rule?.name != null && rule.name !== "" ? String(rule.name) : `rule${i + 1}`;
+    if (names.has(name)) throw new Error(`filter rule name ${name} is used twice`);
+    names.add(name);
+
+    const test = compileCondition(rule, `filter[${i}]`);
+    const user = ruleFields(rule).some(
+      (f) => f === "invoiceDetails" || f.startsWith("invoiceDetails.")
+    );
+    return { name, stage: user ? "user" : "transaction", test };
+  });
+}
+
+// -> { filter: { preset, spec, rules }, error }
+function transactionFilterFromQuery(query, { paymentRegex = PAYMENT_CARD_REGEX } = {}) {
+  let preset = null;
+  let spec;
+
+  if (typeof query.filter === "string" && query.filter.trim()) {
+    try {
+      spec = JSON.parse(query.filter);
+    } catch (e) {
+      return { filter: null, error: `Invalid filter JSON: ${e.message}` };
+    }
+  } else {
+    preset = String(query.preset || "default");
+    const make = Object.hasOwn(TRANSACTION_FILTER_PRESETS, preset)
+      ? TRANSACTION_FILTER_PRESETS[preset]
+      : null;
+    if (!make) {
+      const known = Object.keys(TRANSACTION_FILTER_PRESETS).join(", ");
+      return { filter: null, error: `Unknown filter preset: ${preset} (${known})` };
+    }
+    spec = make({ paymentRegex });
+  }
+
+  try {
+    return { filter: { preset, spec, rules: compileTransactionFilter(spec) }, error: null };
+  } catch (e) {
+    return { filter: null, error: `Invalid filter: ${e.message}` };
+  }
+}
+
+// Keeps the items that pass every rule of the stage; counts drops per rule name into reasons
+function applyFilterRules(rules, stage, items, reasons) {
+  const stageRules = rules.filter((r) => r.stage === stage);
+  return items.filter((t) => {
+    const failed = stageRules.find((r) => !r.test(t));
+    if (failed) reasons[failed.name] = (reasons[failed.name] || 0) + 1;
+    return !failed;
+  });
+}
+
+module.exports = {
+  PAYMENT_CARD_REGEX,
+  TRANSACTION_FILTER_PRESETS,
+  compileTransactionFilter,
+  transactionFilterFromQuery,
+  applyFilterRules,
+};
@@ -0,0 +1,181 @@
+// lib/transaction-windows.js
+// Time-windowed transaction listing for api/ampeco-transactions.js: instead of re-reading the
+// whole range several times, the range is cut into windows (createdAfter/createdBefore slices)
+// small enough to list within a page budget, and each window is checked before it counts.
+//
+// Per window:
+// - AMPECO's meta.total (when present) on the first page tells the size up front: a window with
+//   more than pageBudget * perPage transactions is split into enough equal slices right away
+// - without it, a window that uses up its page budget is split in halves
+// - complete = the listing reached its last page, without a cursor loop, and with as many unique
+//   transactions as meta.total said (when given). Otherwise it is listed once more, then split;
+//   windows at the minimum size are listed without a budget and, if still not complete, reported
+//   as incomplete
+// Adjacent windows overlap by a second (transactions are deduplicated by id), so a transaction
+// created exactly on a boundary is not lost whichever way AMPECO treats the bounds.
+//
+// -> { rows (in window order, then listing order), windows, pages, loopBreaks, hitMaxPages,
+//      complete }
+
+const { createLimiter } = require("./concurrency");
+
+const DEFAULT_PAGE_BUDGET = 10;
+const MIN_WINDOW_MS = 60 * 1000;
+const OVERLAP_MS = 1000;
+const MAX_ATTEMPTS = 2;
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// [from, to) -> n equal windows (whole seconds, so the API filters stay readable)
+function splitWindow(from, to, n) {
+  const step = Math.max(MIN_WINDOW_MS, Math.ceil((to - from) / n / 1000) * 1000);
+  const out = [];
+  for (let start = from; start < to; start += step) out.push([start, Math.min(to, start + step)]);
+  return out;
+}
+
+async function fetchTransactionsWindowed({
+  ampeco,
+  createdAfter,
+  createdBefore,
+  perPage = 100,
+  pageBudget = DEFAULT_PAGE_BUDGET,
+  windowMs = null,
+  maxPages = Infinity,
+  concurrency = 4,
+}) {
+  const rangeStart = Date.parse(createdAfter);
+  const rangeEnd = Date.parse(createdBefore);
+  const limit = createLimiter(concurrency);
+
+  const windows = []; // every window listed, in the order they finished
+  let pages = 0;
+  let loopBreaks = 0;
+  let hitMaxPages = false;
+
+  // one listing of a window -> { rows } | { retry: true } | { split: [sub-windows] }
+  async function listWindow([from, to], attempt) {
+    const canSplit = to - from >= 2 * MIN_WINDOW_MS;
+    let budgetRows = pageBudget * perPage;
+    const rows = new Map();
+    let total = null;
+    let tooBig = false;
+
+    if (hitMaxPages) {
+      // the overall page budget is used up: not listed at all
+      windows.push({
+        from: iso(from),
+        to: iso(to),
+        attempt,
+        pages: 0,
+        count: 0,
+        total,
+        status: "incomplete",
+      });
+      return { rows };
+    }
+
+    const listing = await ampeco.listTransactions(
+      {
+        createdAfter: iso(from),
+        createdBefore: iso(to >= rangeEnd ? rangeEnd : to + OVERLAP_MS),
+        perPage,
+      },
+      {
+        maxPages: canSplit ? pageBudget : Infinity,
+        onPage(data, { nextUrl, meta }) {
+          pages++;
+          if (total === null && meta?.total != null && Number.isFinite(Number(meta.total))) {
+            total = Number(meta.total);
+            // AMPECO may page smaller than asked
+            if (Number(meta.per_page) > 0) budgetRows = pageBudget * Number(meta.per_page);
+            if (canSplit && total > budgetRows) {
+              tooBig = true;
+              return false;
+            }
+          }
+          for (const r of data) if (r?.id != null) rows.set(String(r.id), r);
+          if (nextUrl && pages >= maxPages) {
+            hitMaxPages = true;
+            return false;
+          }
+          return true;
+        },
+      }
+    );
+    loopBreaks += listing.loopBreaks;
+
+    const entry = {
+      from: iso(from),
+      to: iso(to),
+      attempt,
+      pages: listing.pages,
+      count: rows.size,
+      total,
+      status: "complete",
+    };
+    windows.push(entry);
+
+    if (tooBig) {
+      entry.status = "split";
+      return { split: splitWindow(from, to, Math.max(2, Math.ceil(total / budgetRows))) };
+    }
+    if (listing.hitMaxPages && canSplit) {
+      entry.status = "split";
+      return { split: splitWindow(from, to, 2) };
+    }
+
+    const complete =
+      !hitMaxPages &&
+      !listing.hitMaxPages &&
+      listing.nextUrl === null &&
+      (total === null ? listing.loopBreaks === 0 : rows.size >= total);
+    if (complete) return { rows };
+
+    if (hitMaxPages) {
+      entry.status = "incomplete";
+      return { rows };
+    }
+    if (attempt < MAX_ATTEMPTS) {
+      entry.status = "retry";
+      return { retry: true };
+    }
+    if (canSplit) {
+      entry.status = "split";
+      return { split: splitWindow(from, to, 2) };
+    }
+    entry.status = "incomplete";
+    return { rows };
+  }
+
+  // window [from, to) -> its rows, listing sub-windows where needed (in time order)
+  async function fetchWindow(win, attempt = 1) {
+    const result = await limit(() => listWindow(win, attempt));
+    if (result.retry) return fetchWindow(win, attempt + 1);
+    if (result.split) {
+      const parts = await Promise.all(result.split.map((w) => fetchWindow(w)));
+      return parts.flat();
+    }
+    return [result.rows];
+  }
+
+  const initial =
+    windowMs && windowMs < rangeEnd - rangeStart
+      ? splitWindow(rangeStart, rangeEnd, Math.ceil((rangeEnd - rangeStart) / windowMs))
+      : [[rangeStart, rangeEnd]];
+  const maps = (await Promise.all(initial.map((w) => fetchWindow(w)))).flat();
+
+  const byId = new Map();
+  for (const m of maps) for (const [id, r] of m) if (!byId.has(id)) byId.set(id, r);
+
+  return {
+    rows: [...byId.values()],
+    windows,
+    pages,
+    loopBreaks,
+    hitMaxPages,
+    complete: !hitMaxPages && windows.every((w) => w.status !== "incomplete"),
+  };
+}
+
+module.exports = { DEFAULT_PAGE_BUDGET, fetchTransactionsWindowed };
@@ -0,0 +1,126 @@
+// lib/vilnius-time.js
+// Europe/Vilnius wall-clock helpers (GMT+2 winter / GMT+3 summer).
+
+const VILNIUS_TZ = "Europe/Vilnius";
+
+// Intl formatters are expensive to build; reuse them.
+const partsFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: VILNIUS_TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hour12: false,
+  timeZoneName: "shortOffset",
+});
+
+const weekdayFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: VILNIUS_TZ,
+  weekday: "short",
+});
+
+function vilniusParts(date) {
+  const parts = partsFormatter.formatToParts(date);
+
+  const get = (t) => parts.find((p) => p.type === t)?.value;
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    // hour12:false renders midnight as "24"
+    hour: Number(get("hour")) % 24,
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    tzOffset: get("timeZoneName") || "GMT+0",
+  };
+}
+
+function offsetToHHMM(tzOffsetStr) {
+  const m = String(tzOffsetStr).match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+  if (!m) return "+00:00";
+  const sign = m[1];
+  const hh = String(m[2]).padStart(2, "0");
+  const mm = String(m[3] || "00").padStart(2, "0");
+  return `${sign}${hh}:${mm}`;
+}
+
+function toVilniusIsoWithOffset(isoString) {
+  if (!isoString) return "";
+  const d = new Date(isoString);
+  const p = vilniusParts(d);
+  const off = offsetToHHMM(p.tzOffset);
+  return `${p.year}-${p.month}-${p.day}T${String(p.hour).padStart(
+    2,
+    "0"
+  )}:${String(p.minute).padStart(2, "0")}:${String(p.second).padStart(2, "0")}${off}`;
+}
+
+// 1 = Monday ... 7 = Sunday
+function weekdayVilnius(date) {
+  const w = weekdayFormatter.format(date);
+  const map = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+  return map[w] || 0;
+}
+
+function isSummerTimeVilnius(date) {
+  const p = vilniusParts(date);
+  const off = offsetToHHMM(p.tzOffset);
+  return off === "+03:00";
+}
+
+// YYYY-MM-DD of the Vilnius calendar day
+function vilniusDateKey(date) {
+  const p = vilniusParts(date);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+function vilniusOffsetMinutes(date) {
+  const m = offsetToHHMM(vilniusParts(date).tzOffset).match(/([+-])(\d{2}):(\d{2})/);
+  const v = Number(m[2]) * 60 + Number(m[3]);
+  return m[1] === "-" ? -v : v;
+}
+
+// Vilnius wall-clock time -> Date (UTC instant). Out-of-range parts roll over like Date.UTC
+// (month 13 = January next year, day 0 = last day of previous month).
+function vilniusLocalToDate(year, month, day = 1, hour = 0, minute = 0, second = 0) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let t = asUtc - vilniusOffsetMinutes(new Date(asUtc)) * 60000;
+  // second pass settles instants next to a DST switch
+  t = asUtc - vilniusOffsetMinutes(new Date(t)) * 60000;
+  return new Date(t);
+}
+
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" without offset = Vilnius local time;
+// anything with Z/offset is taken as-is. Returns null if unparseable.
+function parseVilniusLocal(value) {
+  if (value instanceof Date) return Number.isFinite(value.getTime()) ? value : null;
+  const s = String(value ?? "").trim();
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (m) {
+    return vilniusLocalToDate(
+      Number(m[1]),
+      Number(m[2]),
+      Number(m[3]),
+      Number(m[4] || 0),
+      Number(m[5] || 0),
+      Number(m[6] || 0)
+    );
+  }
+  const d = new Date(s);
+  return s && Number.isFinite(d.getTime()) ? d : null;
+}
+
+module.exports = {
+  VILNIUS_TZ,
+  vilniusParts,
+  offsetToHHMM,
+  toVilniusIsoWithOffset,
+  weekdayVilnius,
+  isSummerTimeVilnius,
+  vilniusDateKey,
+  vilniusLocalToDate,
+  parseVilniusLocal,
+};
@@ -0,0 +1,54 @@
+// lib/xlsx-tweaks.js
+// Workbook features the SheetJS community build does not write: frozen header rows and
+// "recalculate formulas on open". Applied by re-packing the XLSX (it is a ZIP of XML parts).
+// Also the Excel serial dates of the Vilnius date cells every workbook here writes.
+
+const { readZip, makeZip } = require("./zip");
+
+// Excel serial date (days since 1899-12-30) of the wall-clock part of a Vilnius ISO string,
+// so cells show Vilnius time regardless of the viewer's timezone. null if not a timestamp.
+function excelSerialFromLocalIso(iso) {
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/);
+  if (!m) return null;
+  const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  return ms / 86400000 + 25569;
+}
+
+function paneXml(rows) {
+  const topLeft = `A${rows + 1}`;
+  return (
+    `<sheetView workbookViewId="0">` +
+    `<pane ySplit="${rows}" topLeftCell="${topLeft}" activePane="bottomLeft" state="frozen"/>` +
+    `<selection pane="bottomLeft" activeCell="${topLeft}" sqref="${topLeft}"/>` +
+    `</sheetView>`
+  );
+}
+
+// frozenRows: number of frozen top rows per sheet, in workbook order (0 = none)
+function applyXlsxTweaks(buf, { frozenRows = [], fullCalcOnLoad = false } = {}) {
+  const files = readZip(buf).map((f) => {
+    const m = f.name.match(/^xl\/worksheets\/sheet(\d+)\.xml$/);
+    if (m) {
+      const rows = frozenRows[Number(m[1]) - 1] || 0;
+      if (rows > 0) {
+        const xml = f.data
+          .toString("utf8")
+          .replace(/<sheetView workbookViewId="0"\s*\/>/, paneXml(rows));
+        return { name: f.name, data: Buffer.from(xml, "utf8") };
+      }
+    }
+
+    if (fullCalcOnLoad && f.name === "xl/workbook.xml") {
+      const xml = f.data
+        .toString("utf8")
+        .replace("</workbook>", `<calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>`);
+      return { name: f.name, data: Buffer.from(xml, "utf8") };
+    }
+
+    return f;
+  });
+
+  return makeZip(files);
+}
+
+module.exports = { applyXlsxTweaks, excelSerialFromLocalIso };
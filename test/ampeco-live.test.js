@@ -0,0 +1,85 @@
+// test/ampeco-live.test.js
+// api/ampeco-live.js against the mock AMPECO server (test/support/mock-ampeco.js).
+
+const assert = require("node:assert/strict");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const path = require("path");
+
+const handler = require("../api/ampeco-live");
+const { loadStationRegistry } = require("../lib/stations");
+const { tariffPlanForStation, tariffZoneAt } = require("../lib/tariffs");
+const { createMockAmpeco } = require("./support/mock-ampeco");
+const { invokeHandler } = require("./support/invoke");
+
+function station(json, chargePointId) {
+  return json.stations.find((s) => s.chargePointId === chargePointId);
+}
+
+describe("api/ampeco-live", () => {
+  const mock = createMockAmpeco();
+
+  before(async () => {
+    process.env.AMPECO_BASE_URL = await mock.listen();
+    process.env.AMPECO_TOKEN = mock.token;
+    process.env.AMPECO_STATIONS_FILE = path.join(__dirname, "fixtures", "stations.json");
+    delete process.env.INTERNAL_API_KEY;
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => mock.reset());
+
+  it("shows who is charging now, with energy, power and the tariff zone", async () => {
+    const res = await invokeHandler(handler, { refresh: "1" });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.cached, false);
+    assert.equal(res.json.charging, 1);
+
+    // 5004 has been active since 2026-09-30; its listing slices are old, so the consumption
+    // stats are asked for the latest slice (02:00-03:00 UTC, 500 Wh)
+    const vadim = station(res.json, 326);
+    assert.equal(vadim.charging, true);
+    assert.equal(vadim.since, "2026-09-30T21:00:00+03:00");
+    assert.equal(vadim.energyKwh, 4.5);
+    assert.equal(vadim.powerKw, 0);
+    assert.deepEqual(
+      vadim.sessions.map((s) => [s.sessionId, s.powerKw, s.powerFrom, s.powerStale]),
+      [["5004", 0.5, "2026-10-01T05:00:00+03:00", true]]
+    );
+    assert.equal(mock.requests.filter((r) => r.path.endsWith("/consumption-stats")).length, 1);
+
+    const registry = loadStationRegistry();
+    const plan = tariffPlanForStation(registry, registry.sites[0].stations[0]);
+    assert.equal(vadim.zone, tariffZoneAt(plan, new Date(res.json.generatedAt)));
+
+    const arnas = station(res.json, 27);
+    assert.deepEqual([arnas.charging, arnas.since, arnas.sessions], [false, null, []]);
+  });
+
+  it("answers repeated polls from the recent result", async () => {
+    await invokeHandler(handler, { chargePointId: "27", refresh: "1" });
+    const requests = mock.requests.length;
+
+    const again = await invokeHandler(handler, { chargePointId: "27" });
+    assert.equal(again.status, 200);
+    assert.equal(again.json.cached, true);
+    assert.equal(again.headers["cache-control"], "private, max-age=30");
+    assert.equal(mock.requests.length, requests);
+  });
+
+  it("reports a station whose listing fails next to the others", async () => {
+    mock.reset({ faults: [{ match: "/sessions/v1.0", status: 403, times: 1 }] });
+    const res = await invokeHandler(handler, {
+      chargePointId: "326,27",
+      refresh: "1",
+      concurrency: "1",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.charging, 0);
+
+    const vadim = station(res.json, 326);
+    assert.equal(vadim.charging, null);
+    assert.match(vadim.error, /403/);
+    assert.equal(station(res.json, 27).charging, false);
+  });
+});
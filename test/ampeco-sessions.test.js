@@ -0,0 +1,496 @@
+// test/ampeco-sessions.test.js
+// api/ampeco-sessions.js against the mock AMPECO server (test/support/mock-ampeco.js).
+
+const assert = require("node:assert/strict");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+
+const handler = require("../api/ampeco-sessions");
+const { readZip } = require("../lib/zip");
+const { createMockAmpeco } = require("./support/mock-ampeco");
+const { invokeHandler } = require("./support/invoke");
+const { matchSnapshot } = require("./support/snapshot");
+
+const OCTOBER = { cycle: "2026-10" };
+
+// the parts of the JSON response that do not depend on timing
+function stableJson(json) {
+  const { generatedAt, debug, ...rest } = json;
+  return rest;
+}
+
+// sheet -> { ref, cells: { A1: value | "=FORMULA" } }
+function sheetsForSnapshot(buf) {
+  const wb = XLSX.read(buf, { type: "buffer", cellFormula: true });
+  return wb.SheetNames.map((name) => {
+    const ws = wb.Sheets[name];
+    const cells = {};
+    for (const [addr, cell] of Object.entries(ws)) {
+      if (addr.startsWith("!")) continue;
+      cells[addr] = cell.f ? `=${cell.f}` : cell.v;
+    }
+    return { name, ref: ws["!ref"], cells };
+  });
+}
+
+function stationMeter(json, chargePointId) {
+  return json.stations.find((s) => s.chargePointId === chargePointId).meter;
+}
+
+function stationSummary(json, chargePointId) {
+  return json.stations.find((s) => s.chargePointId === chargePointId).summary;
+}
+
+describe("api/ampeco-sessions", () => {
+  const mock = createMockAmpeco();
+
+  before(async () => {
+    process.env.AMPECO_BASE_URL = await mock.listen();
+    process.env.AMPECO_TOKEN = mock.token;
+    process.env.AMPECO_STATIONS_FILE = path.join(__dirname, "fixtures", "stations.json");
+    delete process.env.AMPECO_CACHE;
+    delete process.env.INTERNAL_API_KEY;
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => mock.reset());
+
+  it("reports a billing cycle as JSON", async () => {
+    const res = await invokeHandler(handler, OCTOBER);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.ok, true);
+    matchSnapshot("sessions-2026-10", stableJson(res.json));
+
+    // the sessions listing starts from cursor=null
+    const listings = mock.requests.filter((r) => r.path.endsWith("/sessions/v1.0"));
+    assert.ok(listings.length > 0);
+    assert.ok(listings.every((r) => new URLSearchParams(r.query).get("cursor") === "null"));
+  });
+
+  it("charges the monthly fee once per billing cycle", async () => {
+    const fee = async (query) =>
+      stationSummary((await invokeHandler(handler, { ...query, cycleStartDay: "30" })).json, 326)
+        .cost.monthlyFee;
+
+    // 2026-09-30 .. 2026-10-30: one whole cycle
+    assert.deepEqual(await fee(OCTOBER), { net: 3, vat: 0.63, gross: 3.63 });
+    // half of it: 361 of the cycle's 721 hours (the DST change adds one)
+    assert.equal(
+      (await fee({ startedAfter: "2026-10-15", startedBefore: "2026-10-30" })).net,
+      Math.round(((3 * 361) / 721) * 100) / 100
+    );
+  });
+
+  it("slices the active session to the range using its consumption stats", async () => {
+    const res = await invokeHandler(handler, OCTOBER);
+    const vadim = res.json.stations.find((s) => s.chargePointId === 326);
+
+    const active = vadim.sessions.find((s) => s.sessionId === "5004");
+    assert.equal(active.status, "active");
+    assert.equal(active.clockAlignedEnergyConsumption.length, 9);
+    assert.ok(mock.requests.some((r) => r.path.endsWith("/5004/consumption-stats")));
+
+    // 18:00..03:00 UTC at 0.5 kWh/h, of which 00:00..03:00 Vilnius (21:00Z..) is October;
+    // 5001/5002/5003 add 4 + 4 + 7 kWh
+    assert.equal(stationSummary(res.json, 326).totalKwh, 18);
+  });
+
+  it("switches tariff zones at the local time of each DST season", async () => {
+    const res = await invokeHandler(handler, OCTOBER);
+    const { kwh } = stationSummary(res.json, 326);
+
+    // 5001 (summer, day zone from 08:00): 1.5 h night + 0.5 h day of 2 kWh/h
+    // 5002 (winter, day zone from 07:00): 0.5 h night + 1.5 h day
+    // 5003 and 5004 are weekend / night only
+    assert.deepEqual(kwh, { Dieninis: 4, Naktinis: 14 });
+  });
+
+  it("leaves out sessions started before the range", async () => {
+    const res = await invokeHandler(handler, OCTOBER);
+    const arnas = res.json.stations.find((s) => s.chargePointId === 27);
+    assert.deepEqual(
+      arnas.sessions.map((s) => s.sessionId),
+      ["6001", "6003", "6004"]
+    );
+  });
+
+  it("flags data-quality problems", async () => {
+    const res = await invokeHandler(handler, OCTOBER);
+    assert.deepEqual(
+      res.json.warnings.map((w) => [w.sessionId, w.code]),
+      [
+        ["6003", "missing_energy"],
+        ["6003", "overlapping_periods"],
+        ["6003", "periods_clock_mismatch"],
+        ["6003", "session_total_mismatch"],
+        ["6004", "implausible_power"],
+        ["6004", "implausible_power"],
+        ["6004", "overlapping_sessions"],
+      ]
+    );
+
+    const lenient = await invokeHandler(handler, { ...OCTOBER, maxKw: "100" });
+    assert.equal(lenient.json.warnings.filter((w) => w.code === "implausible_power").length, 0);
+  });
+
+  it("flags every period and session inside a longer one", async () => {
+    // 7001 covers 7002 and 7003, its period 70011 the other two; those do not overlap each other
+    const session = (id, start, end, periods = []) => ({
+      id,
+      chargePointId: 27,
+      evseId: 272,
+      userId: 100,
+      status: "finished",
+      startedAt: `2026-10-20T${start}:00Z`,
+      stoppedAt: `2026-10-20T${end}:00Z`,
+      energy: 1000,
+      chargingPeriods: periods.map(([pid, from, to]) => ({
+        id: pid,
+        startedAt: `2026-10-20T${from}:00Z`,
+        stoppedAt: `2026-10-20T${to}:00Z`,
+        energy: 1000 / periods.length,
+      })),
+      clockAlignedEnergyConsumption: [],
+    });
+    mock.reset({
+      extraSessions: [
+        session(7001, "10:00", "14:00", [
+          [70011, "10:00", "14:00"],
+          [70012, "10:30", "11:00"],
+          [70013, "12:00", "12:30"],
+        ]),
+        session(7002, "10:30", "11:00"),
+        session(7003, "12:00", "12:30"),
+      ],
+    });
+
+    const res = await invokeHandler(handler, OCTOBER);
+    const overlaps = res.json.warnings.filter((w) => w.code.startsWith("overlapping_"));
+    assert.deepEqual(
+      overlaps
+        .filter((w) => w.sessionId >= "7000")
+        .map((w) => [w.sessionId, w.periodId, w.message]),
+      [
+        ["7001", "70012", "Charging periods 70011 and 70012 overlap"],
+        ["7001", "70013", "Charging periods 70011 and 70013 overlap"],
+        ["7002", null, "Session overlaps session 7001 on the same connector"],
+        ["7003", null, "Session overlaps session 7001 on the same connector"],
+      ]
+    );
+  });
+
+  it("gives the same report through retries and small pages", async () => {
+    mock.reset({
+      pageSize: 1,
+      faults: [
+        { match: "/sessions/v1.0", status: 429, retryAfter: "0", times: 2 },
+        { match: "/consumption-stats", status: 503, times: 1 },
+      ],
+    });
+
+    const res = await invokeHandler(handler, OCTOBER);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.debug.ampecoRequests.retries, 3);
+    matchSnapshot("sessions-2026-10", stableJson(res.json));
+  });
+
+  it("reconciles session energy with meter readings", async () => {
+    const readings = [{ chargePointId: 27, start: 500, end: { kwh: 520, at: "2026-11-01" } }];
+    const res = await invokeHandler(handler, {
+      ...OCTOBER,
+      meterReadings: JSON.stringify(readings),
+      meterTolerance: "0.5",
+    });
+    assert.equal(res.status, 200);
+
+    // 326 has no readings: reconciled from the sessions' own meter values
+    const [vadim] = stationMeter(res.json, 326);
+    assert.equal(vadim.source, "ampeco");
+    assert.equal(vadim.meterKwh, 19.5);
+    assert.equal(vadim.sessionsKwh, 19.5);
+    assert.equal(vadim.withinTolerance, true);
+
+    const [arnas] = stationMeter(res.json, 27);
+    assert.deepEqual(
+      [arnas.source, arnas.start.at, arnas.meterKwh, arnas.sessionsKwh, arnas.differenceKwh],
+      ["readings", "2026-10-01T00:00:00+03:00", 20, 33, 13]
+    );
+    assert.equal(arnas.withinTolerance, false);
+    assert.ok(res.json.warnings.some((w) => w.code === "meter_mismatch" && w.chargePointId === 27));
+
+    const bad = await invokeHandler(handler, { ...OCTOBER, meterReadings: "[{}]" });
+    assert.equal(bad.status, 400);
+    assert.match(bad.json.error, /chargePointId/);
+  });
+
+  it("joins transactions with sessions for ?view=combined", async () => {
+    const res = await invokeHandler(handler, { ...OCTOBER, view: "combined" });
+    assert.equal(res.status, 200);
+    matchSnapshot("sessions-2026-10-combined", stableJson(res.json));
+
+    const bySession = Object.fromEntries(res.json.rows.map((r) => [r.sessionId, r]));
+    // 711 links on the listing row, 709 only in its details, 712 + 713 via purchaseResource*
+    assert.deepEqual(bySession["5001"].transactionIds, [711]);
+    assert.deepEqual(bySession["6001"].transactionIds, [709]);
+    assert.deepEqual(bySession["5002"].transactionIds, [712, 713]);
+    assert.equal(bySession["5002"].amount, 2.3);
+    assert.equal(bySession["5004"].flag, null);
+    assert.equal(bySession["6003"].flag, "session_without_transaction");
+    // 714 has no session; 710 neither, but its user never charged here, so it is not looked up
+    const unlinked = (json) =>
+      json.rows
+        .filter((r) => r.flag === "transaction_without_session")
+        .map((r) => r.transactionIds);
+    assert.deepEqual(unlinked(res.json), [[714]]);
+    // 708 (the same user's, linked only in its details) is not looked up either
+    assert.equal(res.json.totals.transactionsOutsideReport, 0);
+    const detailPaths = mock.requests
+      .map((r) => r.path)
+      .filter((p) => /\/transactions\/v1\.0\/\d+$/.test(p));
+    assert.deepEqual(detailPaths.map((p) => p.split("/").pop()).sort(), ["709", "714"]);
+    // listed in time windows like api/ampeco-transactions.js
+    assert.equal(res.json.debug.transactionListing.complete, true);
+    assert.ok(res.json.debug.transactionListing.windows.length >= 1);
+
+    // past max_details the rest are reported, not flagged
+    const capped = await invokeHandler(handler, { ...OCTOBER, view: "combined", max_details: "1" });
+    assert.deepEqual(
+      [capped.json.transactionDetails.skipped, capped.json.transactionDetails.skippedIds],
+      [1, [714]]
+    );
+    assert.deepEqual(unlinked(capped.json), []);
+
+    const csv = await invokeHandler(handler, { ...OCTOBER, view: "combined", format: "csv" });
+    assert.equal(csv.status, 200);
+    assert.match(csv.body.toString(), /^\uFEFFStation,Charge point,Session,/);
+
+    // the flat options are checked for every flat format
+    for (const format of ["csv", "ndjson"]) {
+      for (const opts of [{ delimiter: ",", decimal: "," }, { delimiter: "ab" }]) {
+        const bad = await invokeHandler(handler, { ...OCTOBER, view: "combined", format, ...opts });
+        assert.equal(bad.status, 400);
+      }
+    }
+
+    const pdf = await invokeHandler(handler, { ...OCTOBER, view: "combined", format: "pdf" });
+    assert.equal(pdf.status, 400);
+  });
+
+  it("builds the Excel report", async () => {
+    const res = await invokeHandler(handler, { ...OCTOBER, format: "xlsx" });
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-disposition"], /\.xlsx/);
+    matchSnapshot("sessions-2026-10-xlsx", sheetsForSnapshot(res.body));
+
+    const files = Object.fromEntries(readZip(res.body).map((f) => [f.name, f.data.toString()]));
+    assert.match(files["xl/workbook.xml"], /fullCalcOnLoad="1"/);
+    assert.match(files["xl/worksheets/sheet2.xml"], /<pane [^>]*state="frozen"/);
+  });
+
+  it("compares the cycle with the one before and the same one a year earlier", async () => {
+    // opt-in: it lists those periods too
+    const plain = await invokeHandler(handler, { cycle: "2026-09" });
+    assert.equal(stationSummary(plain.json, 326).comparison, undefined);
+
+    const res = await invokeHandler(handler, { cycle: "2026-09", compare: "1" });
+    assert.equal(res.status, 200);
+    const { comparison } = stationSummary(res.json, 326);
+    assert.deepEqual(
+      [comparison.month, comparison.previousMonth.month, comparison.previousYear.month],
+      ["2026-09", "2026-08", "2025-09"]
+    );
+    assert.equal(comparison.partial, false);
+    assert.equal(comparison.current.totalKwh, 1.5);
+    // nothing earlier: no percentage
+    assert.deepEqual(comparison.previousMonth.change.totalKwh, { change: 1.5, changePct: null });
+
+    const wb = XLSX.read(
+      (await invokeHandler(handler, { cycle: "2026-09", compare: "1", format: "xlsx" })).body,
+      { type: "buffer", cellFormula: true }
+    );
+    const ws = wb.Sheets["Vadim Testo 1"];
+    const title = Object.keys(ws).find((a) => String(ws[a].v).startsWith("COMPARISON"));
+    assert.equal(ws[title].v, "COMPARISON (2026-09)");
+  });
+
+  it("compares a period cut short with the same part of the earlier ones", async () => {
+    // October up to the 15th: September up to the 15th leaves out 6002 (29 September)
+    const query = { startedAfter: "2026-10-01", startedBefore: "2026-10-15", compare: "1" };
+    const res = await invokeHandler(handler, query);
+    const { comparison } = stationSummary(res.json, 27);
+    assert.equal(comparison.partial, true);
+    assert.equal(comparison.current.to, "2026-10-15T00:00:00+03:00");
+    assert.deepEqual(
+      [comparison.previousMonth.from, comparison.previousMonth.to],
+      ["2026-09-01T00:00:00+03:00", "2026-09-15T00:00:00+03:00"]
+    );
+    assert.equal(comparison.previousMonth.totalKwh, 0);
+
+    const wb = XLSX.read((await invokeHandler(handler, { ...query, format: "xlsx" })).body, {
+      type: "buffer",
+    });
+    const ws = wb.Sheets["Arnas Testo 1"];
+    const title = Object.keys(ws).find((a) => String(ws[a].v).startsWith("COMPARISON"));
+    assert.equal(ws[title].v, "COMPARISON (2026-10 until 2026-10-15 00:00, partial)");
+  });
+
+  it("builds the load profile for ?view=profile", async () => {
+    const res = await invokeHandler(handler, { ...OCTOBER, view: "profile", top: "2" });
+    assert.equal(res.status, 200);
+    const { stations, site } = res.json;
+
+    // the same energy as the report, spread over 15-minute intervals
+    assert.deepEqual(
+      stations.map((s) => [s.chargePointId, s.totalKwh]),
+      [
+        [326, 18],
+        [27, 32],
+      ]
+    );
+    assert.equal(site.totalKwh, 50);
+    assert.equal(site.hourly.length, 24);
+    assert.equal(site.weekdays.length, 7);
+    assert.equal(stations[0].peaks.length, 2);
+
+    // 27 alone sets the coincident peak
+    assert.deepEqual(
+      [site.coincidentPeak.start, site.coincidentPeak.kw, site.sumOfPeaksKw],
+      ["2026-10-10T12:30:00+03:00", 81, 83]
+    );
+    assert.deepEqual(
+      site.coincidentPeak.stations.map((s) => s.kw),
+      [0, 81]
+    );
+
+    const xlsx = await invokeHandler(handler, { ...OCTOBER, view: "profile", format: "xlsx" });
+    const wb = XLSX.read(xlsx.body, { type: "buffer" });
+    assert.deepEqual(wb.SheetNames, ["Load profile"]);
+    const ws = wb.Sheets["Load profile"];
+    assert.deepEqual(
+      [ws.A1.v, ws.B1.v, ws.D1.v, ws.A2.v, ws.A25.v],
+      ["Hour", "Vadim Testo 1_kWh", "Site_kWh", "00:00", "23:00"]
+    );
+
+    const csv = await invokeHandler(handler, { ...OCTOBER, view: "profile", format: "csv" });
+    assert.equal(csv.status, 400);
+
+    for (const clockAlignedInterval of ["-15", "0", "abc", "7"]) {
+      const bad = await invokeHandler(handler, {
+        ...OCTOBER,
+        view: "profile",
+        clockAlignedInterval,
+      });
+      assert.equal(bad.status, 400);
+    }
+
+    // top only matters for the profile
+    const stationsView = await invokeHandler(handler, { ...OCTOBER, top: "0" });
+    assert.equal(stationsView.status, 200);
+    const badTop = await invokeHandler(handler, { ...OCTOBER, view: "profile", top: "0" });
+    assert.equal(badTop.status, 400);
+  });
+
+  it("serves a closed cycle from the cache until ?refresh=1", async () => {
+    process.env.AMPECO_CACHE = "memory";
+    const rangeListings = () =>
+      mock.requests
+        .map((r) => decodeURIComponent(r.query))
+        .filter((q) => q.includes("filter[startedAfter]"));
+    try {
+      // per station: the cycle, then 2026-08 and 2025-09 to compare with
+      const query = { cycle: "2026-09", compare: "1" };
+      const first = await invokeHandler(handler, query);
+      assert.equal(rangeListings().length, 6);
+
+      // 27 and the months compared with are closed; 326 is only re-listed from the start of
+      // its still active session
+      mock.reset();
+      const cached = await invokeHandler(handler, query);
+      const listings = rangeListings();
+      assert.equal(listings.length, 1);
+      assert.match(listings[0], /chargePointId\]=326&.*startedAfter\]=2026-09-30T21:00:00\+03:00/);
+      assert.equal(cached.json.debug.cache.chunksFromCache, 5);
+      assert.equal(cached.json.debug.cache.chunksPartial, 1);
+      assert.deepEqual(stableJson(cached.json), stableJson(first.json));
+
+      mock.reset();
+      await invokeHandler(handler, { ...query, refresh: "1" });
+      assert.equal(rangeListings().length, 6);
+    } finally {
+      delete process.env.AMPECO_CACHE;
+    }
+  });
+
+  it("re-lists the last days of a closed range to pick up late sessions", async () => {
+    process.env.AMPECO_CACHE = "memory";
+    const dayMs = 24 * 3600 * 1000;
+    const at = (daysAgo) => new Date(Date.now() - daysAgo * dayMs).toISOString();
+    // ends over a day ago, so every chunk is closed once listed
+    const query = { startedAfter: at(10), startedBefore: at(1.5), chargePointId: "27" };
+    const sessionIds = (json) => json.stations[0].sessions.map((s) => s.sessionId);
+    try {
+      const first = await invokeHandler(handler, query);
+      assert.ok(!sessionIds(first.json).includes("7101"));
+
+      // uploaded by the charge point after the first report
+      mock.reset({
+        extraSessions: [
+          {
+            id: 7101,
+            chargePointId: 27,
+            evseId: 271,
+            userId: 100,
+            status: "finished",
+            startedAt: at(3),
+            stoppedAt: at(2.9),
+            energy: 2000,
+            chargingPeriods: [],
+            clockAlignedEnergyConsumption: [],
+          },
+        ],
+      });
+      const res = await invokeHandler(handler, query);
+      assert.ok(sessionIds(res.json).includes("7101"));
+      assert.ok(res.json.debug.cache.chunksPartial >= 1);
+    } finally {
+      delete process.env.AMPECO_CACHE;
+    }
+  });
+
+  it("lists from AMPECO when the cache store fails", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ampeco-cache-"));
+    process.env.AMPECO_CACHE = `file:${dir}`;
+    try {
+      const first = await invokeHandler(handler, { cycle: "2026-09" });
+      assert.equal(first.json.debug.cache.storeErrors, 0);
+
+      // every stored record is unreadable now
+      for (const f of fs.readdirSync(dir)) fs.writeFileSync(path.join(dir, f), "{not json");
+      mock.reset();
+      const res = await invokeHandler(handler, { cycle: "2026-09" });
+      assert.equal(res.status, 200);
+      assert.equal(res.json.debug.cache.chunksFromCache, 0);
+      assert.ok(res.json.debug.cache.storeErrors > 0);
+      assert.deepEqual(stableJson(res.json), stableJson(first.json));
+    } finally {
+      delete process.env.AMPECO_CACHE;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("fails with the AMPECO error once retries run out", async () => {
+    mock.reset({ faults: [{ match: "/sessions/v1.0", status: 500, times: 100 }] });
+    process.env.AMPECO_ATTEMPTS = "2";
+    try {
+      const res = await invokeHandler(handler, OCTOBER);
+      assert.equal(res.status, 500);
+      assert.match(res.json.error, /^AMPECO 500/);
+    } finally {
+      delete process.env.AMPECO_ATTEMPTS;
+    }
+  });
+});
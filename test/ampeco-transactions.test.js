@@ -0,0 +1,273 @@
+// test/ampeco-transactions.test.js
+// api/ampeco-transactions.js against the mock AMPECO server (test/support/mock-ampeco.js).
+
+const assert = require("node:assert/strict");
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+const handler = require("../api/ampeco-transactions");
+const { createMockAmpeco } = require("./support/mock-ampeco");
+const { invokeHandler } = require("./support/invoke");
+const { matchSnapshot } = require("./support/snapshot");
+
+const SEPTEMBER = {
+  createdAfter: "2026-09-01T00:00:00+03:00",
+  createdBefore: "2026-10-01T00:00:00+03:00",
+};
+
+function stableJson(json) {
+  const { debug, ...rest } = json;
+  return { ...rest, filterDropReasons: debug.filterDropReasons };
+}
+
+describe("api/ampeco-transactions", () => {
+  const mock = createMockAmpeco();
+
+  before(async () => {
+    process.env.AMPECO_BASE_URL = await mock.listen();
+    process.env.AMPECO_TOKEN = mock.token;
+    delete process.env.AMPECO_CACHE;
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => mock.reset());
+
+  it("returns the card transactions of users without invoices", async () => {
+    const res = await invokeHandler(handler, SEPTEMBER);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.fetchedCount, 7);
+    assert.deepEqual(
+      res.json.data.map((t) => t.transactionId),
+      [701, 702, 707]
+    );
+    matchSnapshot("transactions-2026-09", stableJson(res.json));
+
+    // the transactions listing starts from an empty cursor
+    const listings = mock.requests.filter((r) => r.path.endsWith("/transactions/v1.0"));
+    assert.ok(listings.length > 0);
+    assert.ok(listings.every((r) => new URLSearchParams(r.query).get("cursor") === ""));
+  });
+
+  it("filters with a named preset or own rules, counting drops per rule", async () => {
+    const invoices = await invokeHandler(handler, { ...SEPTEMBER, preset: "invoice-required" });
+    assert.equal(invoices.status, 200);
+    assert.deepEqual(
+      invoices.json.data.map((t) => [t.transactionId, t.requireInvoice, t.userEmail]),
+      [[703, true, "uab@example.lt"]]
+    );
+    assert.equal(invoices.json.debug.filterDropReasons.invoiceNotRequired, 4);
+
+    const rules = [
+      { name: "finalized", field: "status", op: "eq", value: "finalized" },
+      {
+        name: "early",
+        any: [
+          { field: "createdAt", op: "lt", value: "2026-09-03T00:00:00Z" },
+          { field: "totalAmount", op: "gte", value: 8 },
+        ],
+      },
+      { not: { field: "invoiceDetails.email", op: "exists" } },
+    ];
+    const own = await invokeHandler(handler, { ...SEPTEMBER, filter: JSON.stringify(rules) });
+    assert.equal(own.status, 200);
+    assert.deepEqual(
+      own.json.data.map((t) => t.transactionId),
+      [703]
+    );
+    assert.deepEqual(own.json.debug.filterDropReasons, { finalized: 1, early: 3, rule3: 2 });
+
+    const bad = await invokeHandler(handler, {
+      ...SEPTEMBER,
+      filter: JSON.stringify([{ field: "status", op: "like" }]),
+    });
+    assert.equal(bad.status, 400);
+    assert.match(bad.json.error, /filter\[0\]\.op/);
+
+    const unknown = await invokeHandler(handler, { ...SEPTEMBER, preset: "nope" });
+    assert.equal(unknown.status, 400);
+  });
+
+  it("groups business customers' transactions per month for invoicing", async () => {
+    const res = await invokeHandler(handler, {
+      createdAfter: SEPTEMBER.createdAfter,
+      createdBefore: "2026-11-01T00:00:00+02:00",
+      mode: "invoice",
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.json.customers.map((c) => [c.userId, c.month, c.transactionCount, c.totalAmount]),
+      [
+        [102, "2026-09", 1, 20],
+        [102, "2026-10", 1, 9.6],
+      ]
+    );
+    assert.deepEqual(res.json.customers[0].company, {
+      name: "UAB Pavyzdys",
+      code: "300000000",
+      vatCode: "LT100000000000",
+      address: "Žalgirio g. 1, LT-01103 Vilnius, LT",
+    });
+    assert.deepEqual(res.json.customers[0].missingFields, []);
+    matchSnapshot("transactions-invoice-customers", res.json.customers);
+
+    const bad = await invokeHandler(handler, { ...SEPTEMBER, mode: "invoices" });
+    assert.equal(bad.status, 400);
+  });
+
+  it("exports an i.SAF sales register and a CSV with VAT split", async () => {
+    const query = { ...SEPTEMBER, preset: "all-finalized", registrationNumber: "304000000" };
+
+    const isaf = await invokeHandler(handler, { ...query, format: "isaf" });
+    assert.equal(isaf.status, 200);
+    assert.match(isaf.headers["content-disposition"], /2026-09-01_2026-09-30_isaf\.xml/);
+    const xml = isaf.body.toString("utf8");
+    assert.deepEqual(
+      [...xml.matchAll(/<InvoiceNo>([^<]+)</g)].map((m) => m[1]),
+      ["INV-701", "INV-702", "INV-703", "INV-706", "INV-707"]
+    );
+    assert.match(
+      xml,
+      /<InvoiceNo>INV-703<\/InvoiceNo><CustomerInfo><CustomerID>102<\/CustomerID><VATRegistrationNumber>LT100000000000</
+    );
+    assert.match(xml, /<TaxableValue>16\.53<\/TaxableValue>.*?<Amount>3\.47<\/Amount>/);
+    assert.match(xml, /<SelectionEndDate>2026-09-30<\/SelectionEndDate>/);
+
+    const csv = await invokeHandler(handler, { ...query, format: "csv", delimiter: ";" });
+    assert.equal(csv.status, 200);
+    const lines = csv.body.toString("utf8").split("\r\n");
+    assert.ok(lines[0].startsWith("\uFEFFDocument No;Type;Date;"));
+    assert.match(
+      lines[3],
+      /^INV-703;SF;2026-09-09;.*;Žalgirio g\. 1, LT-01103 Vilnius, LT;.*;16\.53;3\.47;20;/
+    );
+
+    const missing = await invokeHandler(handler, { ...SEPTEMBER, format: "isaf" });
+    assert.equal(missing.status, 400);
+  });
+
+  it("numbers every exported document and leaves credit notes out of i.SAF", async () => {
+    const query = {
+      createdAfter: "2026-10-01T00:00:00+03:00",
+      createdBefore: "2026-11-01T00:00:00+02:00",
+      preset: "all-finalized",
+      registrationNumber: "304000000",
+    };
+
+    // max_details does not cut the exports short
+    const isaf = await invokeHandler(handler, { ...query, format: "isaf", max_details: "1" });
+    assert.equal(isaf.status, 200);
+    assert.equal(isaf.headers["x-isaf-credit-notes-omitted"], "1");
+    const xml = isaf.body.toString("utf8");
+    const numbers = [...xml.matchAll(/<InvoiceNo>([^<]+)</g)].map((m) => m[1]);
+    assert.equal(numbers.length, 7);
+    assert.ok(numbers.every((n) => n.startsWith("INV-")));
+    assert.doesNotMatch(xml, /<InvoiceType>KS</);
+
+    const csv = await invokeHandler(handler, { ...query, format: "csv" });
+    assert.match(csv.body.toString("utf8"), /\r\nKS-715,KS,2026-10-20,/);
+
+    mock.reset({ faults: [{ match: "/transactions/v1.0/709", status: 403, times: 1 }] });
+    const failed = await invokeHandler(handler, { ...query, format: "isaf" });
+    assert.equal(failed.status, 500);
+    assert.match(failed.json.error, /document numbers/);
+  });
+
+  it("streams NDJSON and resumes a sweep from its cursor", async () => {
+    mock.reset({ pageSize: 2 });
+    const lines = (res) =>
+      res.body
+        .trim()
+        .split("\n")
+        .map((l) => JSON.parse(l));
+
+    const ids = [];
+    const ends = [];
+    let query = { ...SEPTEMBER, format: "ndjson", max_pages: "2" };
+    for (let call = 0; call < 5; call++) {
+      const res = await invokeHandler(handler, query);
+      assert.equal(res.status, 200);
+      assert.match(res.headers["content-type"], /application\/x-ndjson/);
+
+      const out = lines(res);
+      const end = out.pop();
+      assert.equal(end.type, "end");
+      ids.push(...out.map((l) => l.transactionId));
+      ends.push(end);
+      if (end.done) break;
+      // the cursor carries the range
+      query = { format: "ndjson", max_pages: "2", cursor: end.nextCursor };
+    }
+
+    assert.deepEqual(ids, [701, 702, 707]);
+    assert.deepEqual(
+      ends.map((e) => [e.pages, e.fetchedCount, e.done]),
+      [
+        [2, 4, false],
+        [2, 3, true],
+      ]
+    );
+
+    const bad = await invokeHandler(handler, { format: "ndjson", cursor: "bm9wZQ" });
+    assert.equal(bad.status, 400);
+  });
+
+  it("stops at a cursor loop without losing transactions", async () => {
+    // 7 transactions, 2 per page: the last page links back to the first one
+    mock.reset({ pageSize: 2, paging: "links", loopAfter: { "/transactions/v1.0": 4 } });
+
+    const res = await invokeHandler(handler, SEPTEMBER);
+    assert.equal(res.status, 200);
+    assert.ok(res.json.debug.fetchAll.loopBreaks >= 1);
+    // listed again, then split into halves that list cleanly
+    assert.deepEqual(
+      res.json.debug.fetchAll.windows.slice(0, 2).map((w) => w.status),
+      ["retry", "split"]
+    );
+    assert.equal(res.json.debug.fetchAll.complete, true);
+    matchSnapshot("transactions-2026-09", stableJson(res.json));
+  });
+
+  it("splits listing windows that do not fit the page budget", async () => {
+    // 7 transactions, 1 per page, 2 pages per window
+    mock.reset({ pageSize: 1 });
+    const halves = await invokeHandler(handler, { ...SEPTEMBER, window_pages: "2" });
+    assert.equal(halves.status, 200);
+    const { fetchAll } = halves.json.debug;
+    assert.equal(fetchAll.complete, true);
+    assert.ok(fetchAll.windowsSplit >= 2);
+    assert.ok(fetchAll.windows.every((w) => w.pages <= 2));
+    assert.equal(halves.json.fetchedCount, 7);
+    matchSnapshot("transactions-2026-09", stableJson(halves.json));
+
+    // with meta.total the first page tells how many windows are needed
+    mock.reset({ pageSize: 1, total: true });
+    const sized = await invokeHandler(handler, { ...SEPTEMBER, window_pages: "2" });
+    const [first, ...rest] = sized.json.debug.fetchAll.windows;
+    assert.deepEqual([first.status, first.pages, first.total], ["split", 1, 7]);
+    assert.ok(rest.length >= 4);
+    assert.equal(sized.json.debug.fetchAll.complete, true);
+    matchSnapshot("transactions-2026-09", stableJson(sized.json));
+  });
+
+  it("retries throttled and failing listing pages", async () => {
+    mock.reset({
+      pageSize: 4,
+      faults: [
+        { match: "/transactions/v1.0", status: 429, retryAfter: "0", times: 1 },
+        { match: "/invoice-details", status: 502, times: 1 },
+      ],
+    });
+
+    const res = await invokeHandler(handler, SEPTEMBER);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.debug.ampecoRequests.retries, 2);
+    matchSnapshot("transactions-2026-09", stableJson(res.json));
+  });
+
+  it("adds session ids from the transaction details", async () => {
+    const res = await invokeHandler(handler, { ...SEPTEMBER, includeSession: "1" });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.debug.sessionFetched, 3);
+    matchSnapshot("transactions-2026-09-sessions", stableJson(res.json));
+  });
+});
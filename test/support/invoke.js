@@ -0,0 +1,41 @@
+// test/support/invoke.js
+// Calls a Vercel handler (api/*.js) with a minimal req/res pair and collects the response
+// (streamed responses: the res.write() chunks plus res.end()).
+
+// -> { status, headers, body (Buffer | string | object), json (parsed JSON body or null) }
+async function invokeHandler(handler, query = {}, { method = "GET", headers = {} } = {}) {
+  const out = { status: 0, headers: {}, body: undefined, json: null };
+  const chunks = [];
+
+  const res = {
+    setHeader(name, value) {
+      out.headers[String(name).toLowerCase()] = value;
+    },
+    status(code) {
+      out.status = code;
+      return res;
+    },
+    json(body) {
+      out.body = body;
+      out.json = JSON.parse(JSON.stringify(body));
+      return res;
+    },
+    send(body) {
+      out.body = body;
+      return res;
+    },
+    write(chunk) {
+      chunks.push(String(chunk));
+      return true;
+    },
+    end(body) {
+      out.body = chunks.join("") + (body ?? "");
+      return res;
+    },
+  };
+
+  await handler({ method, headers, query }, res);
+  return out;
+}
+
+module.exports = { invokeHandler };
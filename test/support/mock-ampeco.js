@@ -0,0 +1,218 @@
+// test/support/mock-ampeco.js
+// Local stand-in for the AMPECO public API, serving recorded fixtures (test/fixtures/ampeco.json):
+//
+//   GET /public-api/resources/sessions/v1.0                          fixtures.sessions
+//   GET /public-api/resources/sessions/v1.0/<id>/consumption-stats   fixtures.consumptionStats[id]
+//   GET /public-api/resources/transactions/v1.0                      fixtures.transactions
+//   GET /public-api/resources/transactions/v1.0/<id>                 fixtures.transactionDetails[id]
+//   GET /public-api/resources/users/v1.0/<id>                        fixtures.users[id]
+//   GET /public-api/resources/users/v1.0/<id>/invoice-details        fixtures.invoiceDetails[id]
+//
+// Listings honour filter[chargePointId|status|startedAfter|startedBefore|createdAfter|
+// createdBefore] and are paged (pageSize, else per_page) with meta.next_cursor, or with a
+// relative links.next when paging is "links". Other paths and unknown ids answer 404, a wrong
+// bearer token 401.
+//
+// Options (replace them between tests with reset()):
+// - pageSize:  items per page, overrides per_page
+// - paging:    "cursor" (default) | "links"
+// - loopAfter: { "<path part>": n } — page n of a matching listing links back to page 1
+// - total:     true adds meta.total (the size of the filtered listing)
+// - faults:    [{ match: "<path part>", status: 429 | 5xx, times: n, retryAfter: "0" }] —
+//              the next n matching requests fail with that status
+// - extraSessions: [session] — listed after fixtures.sessions
+//
+// Standalone: node test/support/mock-ampeco.js [fixtures.json] [port], then point
+// AMPECO_BASE_URL at the printed URL (token "test-token").
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const SESSIONS_PATH = "/public-api/resources/sessions/v1.0";
+const TRANSACTIONS_PATH = "/public-api/resources/transactions/v1.0";
+
+function loadFixtures(file = path.join(__dirname, "..", "fixtures", "ampeco.json")) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function timeFilter(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+function filterSessions(sessions, q) {
+  const cp = q.get("filter[chargePointId]");
+  const status = q.get("filter[status]");
+  const after = timeFilter(q.get("filter[startedAfter]"));
+  const before = timeFilter(q.get("filter[startedBefore]"));
+  return sessions.filter((s) => {
+    const started = Date.parse(s.startedAt);
+    if (cp && String(s.chargePointId) !== cp) return false;
+    if (status && s.status !== status) return false;
+    if (after !== null && started < after) return false;
+    if (before !== null && started >= before) return false;
+    return true;
+  });
+}
+
+function filterTransactions(transactions, q) {
+  const after = timeFilter(q.get("filter[createdAfter]"));
+  const before = timeFilter(q.get("filter[createdBefore]"));
+  return transactions.filter((t) => {
+    const created = Date.parse(t.createdAt);
+    if (after !== null && created < after) return false;
+    if (before !== null && created >= before) return false;
+    return true;
+  });
+}
+
+function withDefaults(options) {
+  return {
+    pageSize: null,
+    paging: "cursor",
+    loopAfter: {},
+    total: false,
+    faults: [],
+    extraSessions: [],
+    ...options,
+  };
+}
+
+function createMockAmpeco({ fixtures = loadFixtures(), token = "test-token", ...options } = {}) {
+  const state = { options: withDefaults(options), requests: [] };
+
+  function takeFault(pathname) {
+    const fault = state.options.faults.find(
+      (f) => pathname.includes(f.match) && (f.times ?? 1) > 0
+    );
+    if (!fault) return null;
+    fault.times = (fault.times ?? 1) - 1;
+    return fault;
+  }
+
+  function page(items, url) {
+    const q = url.searchParams;
+    const size = state.options.pageSize || Number(q.get("per_page")) || 100;
+    const pageNo = Number(String(q.get("cursor") || "p1").replace(/^p/, "")) || 1;
+    const body = {
+      data: items.slice((pageNo - 1) * size, pageNo * size),
+      meta: { per_page: size, next_cursor: null },
+      links: { next: null },
+    };
+    if (state.options.total) body.meta.total = items.length;
+
+    const loopAfter = Object.entries(state.options.loopAfter).find(([part]) =>
+      url.pathname.includes(part)
+    );
+    const loops = Boolean(loopAfter) && pageNo === loopAfter[1];
+    const nextCursor = loops ? "" : pageNo * size < items.length ? `p${pageNo + 1}` : null;
+    if (nextCursor === null) return body;
+
+    // a loop goes back to the first page URL (empty cursor) through links.next
+    if (state.options.paging === "links" || loops) {
+      const next = new URL(url.pathname + url.search, "http://mock");
+      next.searchParams.set("cursor", nextCursor);
+      body.links.next = next.pathname + next.search;
+    } else {
+      body.meta.next_cursor = nextCursor;
+    }
+    return body;
+  }
+
+  function route(url) {
+    const p = url.pathname.replace(/\/$/, "");
+    const q = url.searchParams;
+    let m;
+
+    if (p === SESSIONS_PATH) {
+      const sessions = [...(fixtures.sessions || []), ...state.options.extraSessions];
+      return [200, page(filterSessions(sessions, q), url)];
+    }
+    if ((m = p.match(/^\/public-api\/resources\/sessions\/v1\.0\/([^/]+)\/consumption-stats$/))) {
+      const stats = fixtures.consumptionStats?.[decodeURIComponent(m[1])];
+      return stats ? [200, { data: stats }] : [404, { message: "Session not found" }];
+    }
+    if (p === TRANSACTIONS_PATH) {
+      return [200, page(filterTransactions(fixtures.transactions || [], q), url)];
+    }
+    if ((m = p.match(/^\/public-api\/resources\/transactions\/v1\.0\/([^/]+)$/))) {
+      const t = fixtures.transactionDetails?.[decodeURIComponent(m[1])];
+      return t ? [200, t] : [404, { message: "Transaction not found" }];
+    }
+    if ((m = p.match(/^\/public-api\/resources\/users\/v1\.0\/([^/]+)\/invoice-details$/))) {
+      const d = fixtures.invoiceDetails?.[decodeURIComponent(m[1])];
+      return d ? [200, d] : [404, { message: "User not found" }];
+    }
+    if ((m = p.match(/^\/public-api\/resources\/users\/v1\.0\/([^/]+)$/))) {
+      const u = fixtures.users?.[decodeURIComponent(m[1])];
+      return u ? [200, u] : [404, { message: "User not found" }];
+    }
+    return [404, { message: `No route for ${p}` }];
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://mock");
+    state.requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      return send(401, { message: "Unauthenticated." });
+    }
+    if (req.method !== "GET") return send(405, { message: "Method not allowed" });
+
+    const fault = takeFault(url.pathname);
+    if (fault) {
+      const headers = fault.retryAfter != null ? { "retry-after": String(fault.retryAfter) } : {};
+      return send(fault.status, { message: `Mock fault ${fault.status}` }, headers);
+    }
+
+    const [status, body] = route(url);
+    return send(status, body);
+  });
+
+  return {
+    token,
+    baseUrl: null,
+    requests: state.requests,
+
+    // new options (see above) and an empty request log, e.g. between tests
+    reset(options = {}) {
+      state.options = withDefaults(options);
+      state.requests.length = 0;
+    },
+
+    // -> base URL
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+          this.baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(this.baseUrl);
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections(); // keep-alive sockets of the fetch client
+      });
+    },
+  };
+}
+
+module.exports = { createMockAmpeco, loadFixtures };
+
+if (require.main === module) {
+  const [file, port] = process.argv.slice(2);
+  const mock = createMockAmpeco({ fixtures: loadFixtures(file ? path.resolve(file) : undefined) });
+  mock.listen(Number(port || 4010)).then((url) => {
+    console.log(`Mock AMPECO listening on ${url} (token "${mock.token}")`);
+  });
+}
@@ -0,0 +1,29 @@
+// test/support/snapshot.js
+// JSON snapshots in test/__snapshots__/<name>.json. A missing snapshot is written on the first
+// run; UPDATE_SNAPSHOTS=1 rewrites them all after an intended output change.
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_DIR = path.join(__dirname, "..", "__snapshots__");
+
+function matchSnapshot(name, value) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.json`);
+  const actual = JSON.parse(JSON.stringify(value));
+
+  if (process.env.UPDATE_SNAPSHOTS === "1" || !fs.existsSync(file)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(actual, null, 2) + "\n");
+    return;
+  }
+
+  const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepStrictEqual(
+    actual,
+    expected,
+    `Snapshot ${name} differs (run with UPDATE_SNAPSHOTS=1 if the change is intended)`
+  );
+}
+
+module.exports = { matchSnapshot };